@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const { readJsonSync, createJsonWriter } = require("./jsonFile");
+const { parseCsvObjects } = require("./csv");
+const { normalizeUrlForMatch } = require("./urls");
+
+// Ad group -> final URL(s) mapping, with campaign id/name.
+// Input is CSV (one row per ad group/URL pair, Google Ads export headers accepted) or JSON:
+//   [ { "adGroupId": "123", "adGroupName": "...", "campaignId": "9", "campaignName": "...",
+//       "finalUrls": ["https://..."] } ]
+// Rows for the same ad group are merged; several URLs in one cell may be separated by ";" or whitespace.
+
+// Accepted header spellings, compared lowercase with spaces/underscores/dashes removed
+const COLUMN_ALIASES = {
+  adGroupId: ["adgroupid"],
+  adGroupName: ["adgroupname", "adgroup"],
+  campaignId: ["campaignid"],
+  campaignName: ["campaignname", "campaign"],
+  finalUrls: ["finalurl", "finalurls", "url", "urls", "landingpage"]
+};
+
+function canonicalColumn(header) {
+  const h = String(header).toLowerCase().replace(/[\s_-]/g, "");
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) if (aliases.includes(h)) return key;
+  return null;
+}
+
+function splitUrls(v) {
+  if (Array.isArray(v)) return v.map((u) => String(u).trim()).filter(Boolean);
+  return String(v || "").split(/[\s;]+/).map((u) => u.trim()).filter(Boolean);
+}
+
+// Merge raw records (any accepted key spelling) into Map<adGroupId, record>
+function normalizeRecords(records) {
+  const byId = new Map();
+  records.forEach((raw, i) => {
+    const rec = {};
+    for (const [k, v] of Object.entries(raw || {})) {
+      const key = canonicalColumn(k);
+      if (key && rec[key] === undefined) rec[key] = v;
+    }
+
+    const adGroupId = String(rec.adGroupId ?? "").trim();
+    if (!adGroupId) throw new Error(`Record ${i + 1}: missing ad group id`);
+    const urls = splitUrls(rec.finalUrls);
+
+    const existing = byId.get(adGroupId) || {
+      adGroupId,
+      adGroupName: "",
+      campaignId: "",
+      campaignName: "",
+      finalUrls: []
+    };
+    existing.adGroupName = existing.adGroupName || String(rec.adGroupName ?? "").trim();
+    existing.campaignId = existing.campaignId || String(rec.campaignId ?? "").trim();
+    existing.campaignName = existing.campaignName || String(rec.campaignName ?? "").trim();
+    for (const u of urls) if (!existing.finalUrls.includes(u)) existing.finalUrls.push(u);
+    byId.set(adGroupId, existing);
+  });
+  return byId;
+}
+
+// Parse an upload: CSV/JSON text (format "csv" | "json", guessed when omitted) or an already-parsed JSON value
+function parseMapping(input, format) {
+  if (input && typeof input === "object") return parseMapping(JSON.stringify(input), "json");
+
+  const body = String(input || "").trim();
+  const fmt = format || (body.startsWith("[") || body.startsWith("{") ? "json" : "csv");
+  if (fmt === "json") {
+    const raw = JSON.parse(body);
+    const list = Array.isArray(raw) ? raw : raw?.adGroups;
+    if (!Array.isArray(list)) throw new Error("JSON mapping must be an array or { adGroups: [...] }");
+    return normalizeRecords(list);
+  }
+  return normalizeRecords(parseCsvObjects(body));
+}
+
+/**
+ * Per-project mapping store. Uploads are persisted to `file`; until the first upload the
+ * optional `sourceFile` (CSV or JSON, by extension) seeds the mapping.
+ */
+function createAdGroupMap({ file, sourceFile = null }) {
+  let byId = new Map();
+
+  const saved = readJsonSync(file, null);
+  if (saved?.adGroups) byId = normalizeRecords(saved.adGroups);
+  else if (sourceFile && fs.existsSync(sourceFile)) {
+    const ext = path.extname(sourceFile).toLowerCase();
+    byId = parseMapping(fs.readFileSync(sourceFile, "utf8"), ext === ".json" ? "json" : "csv");
+  }
+
+  const writer = createJsonWriter(file, () => ({ version: 1, updatedAt: Date.now(), adGroups: [...byId.values()] }));
+
+  // mode "replace" swaps the whole mapping; "merge" upserts ad groups by id
+  function load(records, { mode = "replace" } = {}) {
+    if (mode === "replace") byId = records;
+    else for (const [id, rec] of records) byId.set(id, rec);
+    writer.schedule();
+    return byId.size;
+  }
+
+  function adGroup(id) {
+    return byId.get(String(id)) || null;
+  }
+
+  function campaignAdGroups(campaignId) {
+    return [...byId.values()].filter((g) => g.campaignId === String(campaignId));
+  }
+
+  // Distinct URLs across ad groups (by normalized URL), each with the ad groups that use it
+  function urlsFor(adGroups) {
+    const byUrl = new Map();
+    for (const g of adGroups) {
+      for (const u of g.finalUrls) {
+        const key = normalizeUrlForMatch(u);
+        if (!key) continue;
+        if (!byUrl.has(key)) byUrl.set(key, { url: u, adGroupIds: [] });
+        const entry = byUrl.get(key);
+        if (!entry.adGroupIds.includes(g.adGroupId)) entry.adGroupIds.push(g.adGroupId);
+      }
+    }
+    return [...byUrl.values()];
+  }
+
+  return {
+    load,
+    adGroup,
+    campaignAdGroups,
+    urlsFor,
+    list: () => [...byId.values()],
+    flush: writer.flush
+  };
+}
+
+module.exports = { createAdGroupMap, parseMapping };
@@ -0,0 +1,494 @@
+const { normalizeUrlForMatch, rowUrl, compileUrlMatcher, matchKeys } = require("./urls");
+const { registerIndexedFilter, isIndexable, getUrlIndex } = require("./exportIndex");
+
+function num(v) {
+  if (v === null || v === undefined) return 0;
+  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+const GROUP_NAMES = ["RageClickCount", "DeadClickCount", "ExcessiveScroll", "QuickbackClick", "ScriptErrorCount", "ErrorClickCount"];
+
+// Dimensions the Export API accepts (dimension1..3)
+const CLARITY_DIMENSIONS = ["Browser", "Device", "Country/Region", "OS", "Source", "Medium", "Campaign", "Channel", "URL"];
+
+// Row fields holding dimension values rather than metrics, as exports name them
+const DIMENSION_FIELDS = new Set(["Url", ...CLARITY_DIMENSIONS, ...CLARITY_DIMENSIONS.map((d) => d.replace(/[^A-Za-z0-9]/g, ""))]);
+
+// A row's value for a dimension; exports key URL as "Url" and may drop punctuation ("CountryRegion")
+function dimensionValue(row, dimension) {
+  if (dimension === "URL") return rowUrl(row);
+  const v = row?.[dimension] ?? row?.[dimension.replace(/[^A-Za-z0-9]/g, "")];
+  return v === null || v === undefined ? "" : String(v);
+}
+
+// Derived rate name for each group, in sessions with the metric per 100 sessions
+const RATE_NAMES = {
+  RageClickCount: "rageClickRate",
+  DeadClickCount: "deadClickRate",
+  ExcessiveScroll: "excessiveScrollRate",
+  QuickbackClick: "quickbackRate",
+  ScriptErrorCount: "scriptErrorRate",
+  ErrorClickCount: "errorClickRate"
+};
+
+// Fields carrying metric values; every other row field is a dimension value (Url, Channel, ...)
+const METRIC_FIELDS = new Set([
+  "totalSessionCount", "totalBotSessionCount", "distinctUserCount", "pagesPerSessionPercentage",
+  "totalTime", "activeTime", "averageScrollDepth",
+  "sessionsCount", "sessionsWithMetricPercentage", "sessionsWithoutMetricPercentage", "pagesViews", "subTotal"
+]);
+
+// Identifies the same dimension combination across metric blocks (joins ScrollDepth rows to Traffic sessions)
+function rowDimensionKey(r) {
+  return JSON.stringify(Object.keys(r).filter((k) => !METRIC_FIELDS.has(k)).sort().map((k) => [k, r[k]]));
+}
+
+// Blocks aggregated by name; anything else is only counted (matchedRows) unless includeUnknown is set
+const KNOWN_BLOCKS = new Set(["Traffic", "EngagementTime", "ScrollDepth", ...GROUP_NAMES]);
+
+function initGroup() {
+  return {
+    sessionsCount: 0,
+    sessionsWithMetricPercentage: 0,
+    sessionsWithoutMetricPercentage: 0,
+    pagesViews: 0,
+    subTotal: 0
+  };
+}
+
+function addGroup(target, r) {
+  target.sessionsCount += num(r.sessionsCount);
+  target.sessionsWithMetricPercentage += num(r.sessionsWithMetricPercentage);
+  target.sessionsWithoutMetricPercentage += num(r.sessionsWithoutMetricPercentage);
+  target.pagesViews += num(r.pagesViews);
+  target.subTotal += num(r.subTotal);
+}
+
+function createBaseOutput(targetFinalUrl) {
+  return {
+    targetUrl: targetFinalUrl,
+    normalizedTarget: normalizeUrlForMatch(targetFinalUrl),
+    matchedRows: 0,
+    matchedUrls: [],
+
+    // Traffic
+    totalSessionCount: 0,
+    totalBotSessionCount: 0,
+    distinctUserCount: 0,
+    pagesPerSessionPercentage: 0,
+
+    // EngagementTime
+    totalTime: 0,
+    activeTime: 0,
+
+    // ScrollDepth
+    averageScrollDepth: 0,
+
+    // Groups
+    RageClickCount: initGroup(),
+    DeadClickCount: initGroup(),
+    ExcessiveScroll: initGroup(),
+    QuickbackClick: initGroup(),
+    ScriptErrorCount: initGroup(),
+    ErrorClickCount: initGroup(),
+
+    // Computed
+    avgSessionDurationSec: 0,
+    activeTimePerSessionSec: 0
+  };
+}
+
+// -------- Google Ads filter logic (NO GTM, historical) --------
+
+// You can filter by Channel OR by Source+Medium.
+// We'll support BOTH and accept if either indicates Google Ads.
+function isPaidSearchChannel(channelValue) {
+  const v = String(channelValue || "").toLowerCase().trim();
+  if (!v) return false;
+
+  // Common label
+  if (v === "paid search") return true;
+
+  // Looser matching
+  if (v.includes("paid") && v.includes("search")) return true;
+  if (v.includes("cpc") || v.includes("ppc")) return true;
+
+  return false;
+}
+
+function isGoogleCpc(sourceValue, mediumValue) {
+  const s = String(sourceValue || "").toLowerCase().trim();
+  const m = String(mediumValue || "").toLowerCase().trim();
+
+  // Common paid traffic signatures
+  const sourceOk = (s === "google" || s.includes("google"));
+  const mediumOk = (m === "cpc" || m === "ppc" || m.includes("cpc") || m.includes("ppc"));
+
+  return sourceOk && mediumOk;
+}
+
+// Per-target accumulator: the output object, its URL matcher, the distinct source URLs
+// seen and running sums for the averaged fields.
+// version 1 (default) keeps the original numbers: unweighted means of nonzero averageScrollDepth /
+// pagesPerSessionPercentage and summed group percentages. version 2 weights both averages by sessions
+// and recomputes group percentages from the summed counts (see finalizeV2).
+// includeUnknown adds `unknownBlocks`: numeric fields of unrecognized blocks, summed per block.
+function createAccumulator(targetFinalUrl, { match = "exact", keepParams = [], rates = false, version = 1, includeUnknown = false } = {}) {
+  const out = createBaseOutput(targetFinalUrl);
+  if (includeUnknown) out.unknownBlocks = {};
+  const matcher = compileUrlMatcher(targetFinalUrl, match, { keepParams });
+  if (match !== "exact" || keepParams.length) {
+    out.normalizedTarget = matcher.normalized;
+    out.match = match;
+    out.keepParams = keepParams;
+  }
+  return {
+    out,
+    matcher,
+    // Exact targets are looked up by their query-less normalized URL; refined by matcher when keepParams is set
+    baseKey: match === "exact" ? normalizeUrlForMatch(targetFinalUrl) : null,
+    matchedUrls: new Set(),
+    // Sessions with / counted for each group, from each row's own sessionsCount * percentage
+    rates,
+    withMetric: Object.fromEntries(GROUP_NAMES.map((g) => [g, 0])),
+    withoutMetric: Object.fromEntries(GROUP_NAMES.map((g) => [g, 0])),
+    groupSessions: Object.fromEntries(GROUP_NAMES.map((g) => [g, 0])),
+    scrollDepthSum: 0, scrollDepthN: 0,
+    pagesPerSessionPctSum: 0, pagesPerSessionPctN: 0,
+    // version 2: Traffic sessions per dimension combination, scroll depths to weight with them
+    version,
+    sessionsByKey: new Map(),
+    scrollDepths: [], // [dimensionKey, depth]
+    pagesPerSessionWeighted: 0, pagesPerSessionWeight: 0
+  };
+}
+
+function accumulateRow(acc, metricName, r) {
+  const out = acc.out;
+  out.matchedRows += 1;
+  acc.matchedUrls.add(rowUrl(r));
+
+  if (metricName === "Traffic") {
+    out.totalSessionCount += num(r.totalSessionCount);
+    out.totalBotSessionCount += num(r.totalBotSessionCount);
+    out.distinctUserCount += num(r.distinctUserCount);
+
+    const p = num(r.pagesPerSessionPercentage);
+    if (p) { acc.pagesPerSessionPctSum += p; acc.pagesPerSessionPctN += 1; }
+
+    if (acc.version === 2) {
+      const sessions = num(r.totalSessionCount);
+      const key = rowDimensionKey(r);
+      acc.sessionsByKey.set(key, (acc.sessionsByKey.get(key) || 0) + sessions);
+      if (p) { acc.pagesPerSessionWeighted += p * sessions; acc.pagesPerSessionWeight += sessions; }
+    }
+  }
+
+  if (metricName === "EngagementTime") {
+    out.totalTime += num(r.totalTime);
+    out.activeTime += num(r.activeTime);
+  }
+
+  if (metricName === "ScrollDepth") {
+    const d = num(r.averageScrollDepth);
+    if (d) { acc.scrollDepthSum += d; acc.scrollDepthN += 1; }
+    if (d && acc.version === 2) acc.scrollDepths.push([rowDimensionKey(r), d]);
+  }
+
+  if (acc.withMetric[metricName] !== undefined) {
+    acc.withMetric[metricName] += num(r.sessionsCount) * num(r.sessionsWithMetricPercentage) / 100;
+    acc.withoutMetric[metricName] += num(r.sessionsCount) * num(r.sessionsWithoutMetricPercentage) / 100;
+    acc.groupSessions[metricName] += num(r.sessionsCount);
+  }
+
+  if (metricName === "RageClickCount") addGroup(out.RageClickCount, r);
+  if (metricName === "DeadClickCount") addGroup(out.DeadClickCount, r);
+  if (metricName === "ExcessiveScroll") addGroup(out.ExcessiveScroll, r);
+  if (metricName === "QuickbackClick") addGroup(out.QuickbackClick, r);
+  if (metricName === "ScriptErrorCount") addGroup(out.ScriptErrorCount, r);
+  if (metricName === "ErrorClickCount") addGroup(out.ErrorClickCount, r);
+
+  if (out.unknownBlocks && !KNOWN_BLOCKS.has(metricName)) addUnknownFields(out.unknownBlocks, metricName, r);
+}
+
+// Sum every numeric (or numeric-string) non-dimension field of a row into sums[metricName]
+function addUnknownFields(sums, metricName, r) {
+  const block = sums[metricName] || (sums[metricName] = {});
+  for (const [k, v] of Object.entries(r || {})) {
+    if (DIMENSION_FIELDS.has(k)) continue;
+    if (typeof v !== "number" && !(typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v)))) continue;
+    block[k] = (block[k] || 0) + num(v);
+  }
+}
+
+function finalizeAccumulator(acc) {
+  const out = acc.out;
+  out.matchedUrls = [...acc.matchedUrls].sort();
+
+  if (acc.scrollDepthN > 0) out.averageScrollDepth = Math.round(acc.scrollDepthSum / acc.scrollDepthN);
+  if (acc.pagesPerSessionPctN > 0) out.pagesPerSessionPercentage = Math.round(acc.pagesPerSessionPctSum / acc.pagesPerSessionPctN);
+
+  if (out.totalSessionCount > 0 && out.totalTime > 0) {
+    out.avgSessionDurationSec = Math.round(out.totalTime / out.totalSessionCount);
+  }
+  if (out.totalSessionCount > 0 && out.activeTime > 0) {
+    out.activeTimePerSessionSec = Math.round(out.activeTime / out.totalSessionCount);
+  }
+
+  if (acc.version === 2) finalizeV2(acc);
+  if (acc.rates) out.rates = deriveRates(acc);
+
+  return out;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Version 2 figures (2 decimals):
+// - averageScrollDepth: mean of the ScrollDepth rows weighted by the Traffic sessions of the same
+//   dimension combination (unweighted mean when no row has sessions)
+// - pagesPerSessionPercentage: mean weighted by each Traffic row's sessions
+// - group percentages: sessions with / without the metric (sessionsCount * percentage, summed)
+//   over summed sessionsCount, so they stay within 0..100
+function finalizeV2(acc) {
+  const out = acc.out;
+  let weighted = 0;
+  let weight = 0;
+  for (const [key, d] of acc.scrollDepths) {
+    const sessions = acc.sessionsByKey.get(key) || 0;
+    weighted += d * sessions;
+    weight += sessions;
+  }
+  if (weight > 0) out.averageScrollDepth = round2(weighted / weight);
+  else if (acc.scrollDepthN > 0) out.averageScrollDepth = round2(acc.scrollDepthSum / acc.scrollDepthN);
+
+  if (acc.pagesPerSessionWeight > 0) out.pagesPerSessionPercentage = round2(acc.pagesPerSessionWeighted / acc.pagesPerSessionWeight);
+  else if (acc.pagesPerSessionPctN > 0) out.pagesPerSessionPercentage = round2(acc.pagesPerSessionPctSum / acc.pagesPerSessionPctN);
+
+  for (const g of GROUP_NAMES) {
+    const sessions = acc.groupSessions[g];
+    out[g].sessionsWithMetricPercentage = sessions > 0 ? round2((acc.withMetric[g] / sessions) * 100) : 0;
+    out[g].sessionsWithoutMetricPercentage = sessions > 0 ? round2((acc.withoutMetric[g] / sessions) * 100) : 0;
+  }
+  out.aggregationVersion = 2;
+}
+
+// Sessions with each metric per 100 sessions (weighted by each row's sessions), plus bot share:
+// bot sessions as a percentage of bot + non-bot sessions. 0 when there is no traffic.
+function deriveRates(acc) {
+  const rates = {};
+  for (const g of GROUP_NAMES) {
+    const sessions = acc.groupSessions[g];
+    rates[RATE_NAMES[g]] = sessions > 0 ? round2((acc.withMetric[g] / sessions) * 100) : 0;
+  }
+  const { totalSessionCount, totalBotSessionCount } = acc.out;
+  const all = totalSessionCount + totalBotSessionCount;
+  rates.botShare = all > 0 ? round2((totalBotSessionCount / all) * 100) : 0;
+  return rates;
+}
+
+// The key a row is matched on: its normalized URL, or with keepParams its URL with those parameters
+function rowMatchKey(baseKey, row, keepParams) {
+  return keepParams.length ? normalizeUrlForMatch(rowUrl(row), { keepParams }) : baseKey;
+}
+
+// Distinct match keys over [normalized URL, rows] buckets (without keepParams, one per bucket)
+function distinctMatchKeys(buckets, keepParams) {
+  const keys = new Set();
+  for (const [baseKey, entries] of buckets) {
+    if (!keepParams.length) keys.add(baseKey);
+    else for (const { row } of entries) keys.add(rowMatchKey(baseKey, row, keepParams));
+  }
+  return keys;
+}
+
+/**
+ * Aggregate ALL schema metrics for many URLs in a single pass over exportJson,
+ * with optional filterFn(row) to include/exclude rows. Returns outputs in the order of targetFinalUrls.
+ * This works for:
+ * - URL-only exports (filterFn = null)
+ * - Channel+URL exports (filterFn checks Channel)
+ * - Source+Medium+URL exports (filterFn checks Source/Medium)
+ * Uses the memoized normalized-URL index when filterFn is null or registered.
+ *
+ * opts.match ("exact" | "prefix" | "glob" | "regex") treats each target as a pattern, and
+ * opts.keepParams keeps those query parameters when normalizing (see compileUrlMatcher).
+ * opts.rates adds a `rates` object (see deriveRates).
+ * opts.version 2 switches to session-weighted averages and recomputed percentages (see createAccumulator).
+ * opts.includeUnknown sums numeric fields of unrecognized metric blocks into `unknownBlocks`.
+ */
+function aggregateManyFromExport(exportJson, targetFinalUrls, filterFn, { useIndex = true, match = "exact", keepParams = [], rates = false, version = 1, includeUnknown = false } = {}) {
+  const accs = targetFinalUrls.map((t) => createAccumulator(t, { match, keepParams, rates, version, includeUnknown }));
+  const exact = match === "exact";
+
+  // Exact targets bucketed by query-less normalized URL; several targets can share one
+  const byBaseKey = new Map();
+  if (exact) {
+    for (const acc of accs) {
+      if (!acc.baseKey) continue;
+      if (!byBaseKey.has(acc.baseKey)) byBaseKey.set(acc.baseKey, []);
+      byBaseKey.get(acc.baseKey).push(acc);
+    }
+  }
+
+  let buckets; // [normalized URL, rows] for every URL some target can match
+  if (useIndex && isIndexable(exportJson, filterFn)) {
+    const index = getUrlIndex(exportJson, filterFn);
+    buckets = exact ? [...byBaseKey.keys()].map((k) => [k, index.get(k) || []]) : index;
+  } else {
+    // Linear scan: ad-hoc filters, or useIndex=false (benchmarks)
+    buckets = new Map();
+    for (const block of Array.isArray(exportJson) ? exportJson : []) {
+      const metricName = String(block.metricName || "");
+      const rows = Array.isArray(block.information) ? block.information : [];
+
+      for (const row of rows) {
+        if (filterFn && !filterFn(row)) continue;
+
+        const rn = normalizeUrlForMatch(rowUrl(row));
+        if (!rn || (exact && !byBaseKey.has(rn))) continue;
+
+        if (!buckets.has(rn)) buckets.set(rn, []);
+        buckets.get(rn).push({ metricName, row });
+      }
+    }
+  }
+
+  // Exact: O(rows for each target)
+  if (exact && !keepParams.length) {
+    for (const [baseKey, entries] of buckets) {
+      for (const { metricName, row } of entries) for (const acc of byBaseKey.get(baseKey)) accumulateRow(acc, metricName, row);
+    }
+    return accs.map(finalizeAccumulator);
+  }
+
+  // Patterns and keepParams: match every distinct key once per target (see matchKeys), then add the rows
+  const keys = distinctMatchKeys(buckets, keepParams);
+  const matched = matchKeys(accs.map((acc) => acc.matcher), keys);
+  const accsFor = new Map([...keys].map((key) => [key, accs.filter((_, i) => matched[i].has(key))]));
+  for (const [baseKey, entries] of buckets) {
+    for (const { metricName, row } of entries) {
+      for (const acc of accsFor.get(rowMatchKey(baseKey, row, keepParams))) accumulateRow(acc, metricName, row);
+    }
+  }
+
+  return accs.map(finalizeAccumulator);
+}
+
+// Single-URL convenience wrapper
+function aggregateAllMetricsFromExport(exportJson, targetFinalUrl, filterFn, opts) {
+  return aggregateManyFromExport(exportJson, [targetFinalUrl], filterFn, opts)[0];
+}
+
+/**
+ * One output per combination of `dimensions` values (e.g. ["Device"] or ["Device", "Country/Region"])
+ * among the rows for targetFinalUrl, sorted by totalSessionCount descending.
+ * Each output leads with the dimension values; opts as for aggregateManyFromExport.
+ */
+function aggregateBreakdownFromExport(exportJson, targetFinalUrl, dimensions, opts = {}) {
+  const { match = "exact", keepParams = [] } = opts;
+  const matcher = compileUrlMatcher(targetFinalUrl, match, { keepParams });
+  const groups = new Map(); // JSON of dimension values -> { values, acc }
+
+  const visit = (metricName, row) => {
+    const values = dimensions.map((d) => dimensionValue(row, d));
+    const key = JSON.stringify(values);
+    let g = groups.get(key);
+    if (!g) {
+      g = { values, acc: createAccumulator(targetFinalUrl, opts) };
+      groups.set(key, g);
+    }
+    accumulateRow(g.acc, metricName, row);
+  };
+
+  // Walk distinct normalized URLs (memoized index) instead of every row, matching each key once
+  const index = isIndexable(exportJson, null) ? getUrlIndex(exportJson, null) : new Map();
+  const exactKey = match === "exact" && !keepParams.length ? matcher.normalized : null;
+  const buckets = exactKey !== null ? [[exactKey, index.get(exactKey) || []]] : index;
+  const [matched] = exactKey !== null ? [null] : matchKeys([matcher], distinctMatchKeys(buckets, keepParams));
+  for (const [baseKey, entries] of buckets) {
+    for (const { metricName, row } of entries) {
+      if (exactKey !== null || matched.has(rowMatchKey(baseKey, row, keepParams))) visit(metricName, row);
+    }
+  }
+
+  return [...groups.values()]
+    .map(({ values, acc }) => ({ ...Object.fromEntries(dimensions.map((d, i) => [d, values[i]])), ...finalizeAccumulator(acc) }))
+    .sort((a, b) => b.totalSessionCount - a.totalSessionCount);
+}
+
+/**
+ * Roll several per-URL outputs up into one (ad group / campaign totals).
+ * Counts and groups are summed; averageScrollDepth and pagesPerSessionPercentage use the
+ * same mean-of-nonzero rule as row aggregation; per-session seconds are recomputed.
+ * With version 2 each output weighs in with its sessions, as rows do.
+ */
+function rollupOutputs(outputs, { version = 1 } = {}) {
+  const acc = createAccumulator("", { version });
+  const out = acc.out;
+  delete out.targetUrl;
+  delete out.normalizedTarget;
+
+  outputs.forEach((o, i) => {
+    const sessions = num(o.totalSessionCount);
+    out.matchedRows += num(o.matchedRows);
+    for (const u of o.matchedUrls || []) acc.matchedUrls.add(u);
+    out.totalSessionCount += num(o.totalSessionCount);
+    out.totalBotSessionCount += num(o.totalBotSessionCount);
+    out.distinctUserCount += num(o.distinctUserCount);
+    out.totalTime += num(o.totalTime);
+    out.activeTime += num(o.activeTime);
+
+    const p = num(o.pagesPerSessionPercentage);
+    if (p) { acc.pagesPerSessionPctSum += p; acc.pagesPerSessionPctN += 1; }
+    const d = num(o.averageScrollDepth);
+    if (d) { acc.scrollDepthSum += d; acc.scrollDepthN += 1; }
+
+    if (version === 2) {
+      acc.sessionsByKey.set(i, sessions);
+      if (d) acc.scrollDepths.push([i, d]);
+      if (p) { acc.pagesPerSessionWeighted += p * sessions; acc.pagesPerSessionWeight += sessions; }
+    }
+
+    for (const [name, fields] of Object.entries(o.unknownBlocks || {})) {
+      const block = out.unknownBlocks || (out.unknownBlocks = {});
+      block[name] = block[name] || {};
+      for (const [k, v] of Object.entries(fields)) block[name][k] = (block[name][k] || 0) + num(v);
+    }
+
+    for (const g of GROUP_NAMES) {
+      if (!o[g]) continue;
+      addGroup(out[g], o[g]);
+      acc.withMetric[g] += num(o[g].sessionsCount) * num(o[g].sessionsWithMetricPercentage) / 100;
+      acc.withoutMetric[g] += num(o[g].sessionsCount) * num(o[g].sessionsWithoutMetricPercentage) / 100;
+      acc.groupSessions[g] += num(o[g].sessionsCount);
+    }
+  });
+
+  return finalizeAccumulator(acc);
+}
+
+// Row filters used by the Google Ads routes; registered so their indexes are memoized per payload
+const isPaidSearchRow = registerIndexedFilter((row) => isPaidSearchChannel(row.Channel));
+const isGoogleCpcRow = registerIndexedFilter((row) => isGoogleCpc(row.Source, row.Medium));
+
+module.exports = {
+  num,
+  initGroup,
+  addGroup,
+  createBaseOutput,
+  isPaidSearchChannel,
+  isGoogleCpc,
+  isPaidSearchRow,
+  isGoogleCpcRow,
+  GROUP_NAMES,
+  RATE_NAMES,
+  CLARITY_DIMENSIONS,
+  KNOWN_BLOCKS,
+  dimensionValue,
+  aggregateManyFromExport,
+  aggregateAllMetricsFromExport,
+  aggregateBreakdownFromExport,
+  rollupOutputs
+};
@@ -0,0 +1,170 @@
+const { readJsonSync, createJsonWriter } = require("./jsonFile");
+const { MATCH_MODES, compileUrlMatcher } = require("./urls");
+
+// Threshold alerts evaluated whenever a fresh export is cached.
+// Rules (ALERTS_FILE / ALERTS_JSON), an array of:
+//   {
+//     "id": "paid-script-errors",
+//     "project": "shop",              // optional, default: every project
+//     "url": "https://site.com/landing", "match": "exact", // match: exact | prefix | glob | regex
+//     "segment": "googleads",         // "all" (no filter, default) or a segment name
+//     "metric": "ScriptErrorCount.sessionsWithMetricPercentage", // any path in the metrics output, incl. rates.*
+//     "comparator": ">", "threshold": 5,
+//     "minSessions": 100,             // below this the rule reports insufficient_data and never fires
+//     "days": 3,                      // export window evaluated (default 3)
+//     "webhook": "https://..."        // optional override of ALERT_WEBHOOK_URL
+//   }
+// A rule fires once when it crosses the threshold, re-notifies while still firing only after the
+// cooldown, and sends one "resolved" notification when it recovers.
+
+const COMPARATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b
+};
+
+function normalizeRule(r, i, segmentNames) {
+  const where = `Alert rule ${r?.id || i}`;
+  if (!r || typeof r !== "object") throw new Error(`${where}: must be an object`);
+  if (!r.id) throw new Error(`${where}: id is required`);
+  if (!r.url) throw new Error(`${where}: url is required`);
+  if (!r.metric) throw new Error(`${where}: metric is required`);
+  if (!COMPARATORS[r.comparator]) throw new Error(`${where}: comparator must be one of ${Object.keys(COMPARATORS).join(" ")}`);
+  if (!Number.isFinite(Number(r.threshold))) throw new Error(`${where}: threshold must be a number`);
+
+  const match = r.match || "exact";
+  if (!MATCH_MODES.includes(match)) throw new Error(`${where}: match must be one of ${MATCH_MODES.join(", ")}`);
+  try { compileUrlMatcher(r.url, match); } catch (e) { throw new Error(`${where}: ${e.message}`); }
+  const segment = r.segment || "all";
+  if (segment !== "all" && !segmentNames.includes(segment)) throw new Error(`${where}: unknown segment ${segment}`);
+
+  return {
+    id: String(r.id),
+    project: r.project ? String(r.project) : null,
+    url: String(r.url),
+    match,
+    segment,
+    metric: String(r.metric),
+    comparator: r.comparator,
+    threshold: Number(r.threshold),
+    minSessions: Math.max(0, Number(r.minSessions) || 0),
+    days: Math.min(Math.max(parseInt(r.days, 10) || 3, 1), 3),
+    webhook: r.webhook || null
+  };
+}
+
+function loadAlertRules({ file, json, segmentNames = [] } = {}) {
+  let raw = null;
+  if (json) raw = JSON.parse(json);
+  else if (file) raw = readJsonSync(file, null);
+  const list = Array.isArray(raw) ? raw : raw?.rules || [];
+
+  const rules = list.map((r, i) => normalizeRule(r, i, segmentNames));
+  const ids = new Set();
+  for (const r of rules) {
+    if (ids.has(r.id)) throw new Error(`Duplicate alert rule id: ${r.id}`);
+    ids.add(r.id);
+  }
+  return rules;
+}
+
+function readPath(obj, dotted) {
+  return dotted.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+async function postWebhook(url, body) {
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(10000)
+  });
+  if (!resp.ok) throw new Error(`Webhook ${resp.status}`);
+}
+
+/**
+ * Alert state machine + delivery. State is keyed by project/rule and persisted to stateFile
+ * so a restart doesn't re-send notifications that already went out.
+ */
+function createAlertEngine({ rules, stateFile = null, webhookUrl = null, cooldownMs = 6 * 3600000, send = postWebhook }) {
+  const state = new Map(Object.entries((stateFile && readJsonSync(stateFile, null)?.state) || {}));
+  const writer = stateFile ? createJsonWriter(stateFile, () => ({ version: 1, state: Object.fromEntries(state) })) : null;
+
+  function rulesFor(projectId) {
+    return rules.filter((r) => !r.project || r.project === projectId);
+  }
+
+  async function notify(rule, type, entry, projectId) {
+    const url = rule.webhook || webhookUrl;
+    if (!url) return;
+    try {
+      await send(url, {
+        type,
+        project: projectId,
+        rule: { id: rule.id, url: rule.url, match: rule.match, segment: rule.segment, metric: rule.metric, comparator: rule.comparator, threshold: rule.threshold },
+        value: entry.value,
+        sessions: entry.sessions,
+        since: entry.since ? new Date(entry.since).toISOString() : null,
+        at: new Date().toISOString()
+      });
+      entry.lastNotifiedAt = Date.now();
+      entry.lastDeliveryError = null;
+    } catch (e) {
+      entry.lastDeliveryError = String(e.message || e);
+    }
+  }
+
+  /**
+   * Record one evaluation: out is the rule's metrics output (null when the data isn't cached).
+   * Sends at most one webhook per call.
+   */
+  async function record(projectId, rule, out, now = Date.now()) {
+    const key = `${projectId}|${rule.id}`;
+    const prev = state.get(key) || { status: "unknown", since: null, lastNotifiedAt: null };
+    const entry = { ...prev, lastEvaluatedAt: now };
+
+    const value = out ? Number(readPath(out, rule.metric)) : NaN;
+    entry.sessions = out ? out.totalSessionCount : null;
+    entry.value = Number.isFinite(value) ? value : null;
+
+    let status;
+    if (!out || entry.value === null) status = "no_data";
+    else if (entry.sessions < rule.minSessions) status = "insufficient_data";
+    else status = COMPARATORS[rule.comparator](entry.value, rule.threshold) ? "firing" : "ok";
+
+    if (status !== prev.status) entry.since = now;
+    entry.status = status;
+
+    if (status === "firing") {
+      const cooledDown = !prev.lastNotifiedAt || now - prev.lastNotifiedAt >= cooldownMs;
+      if (prev.status !== "firing" || cooledDown) await notify(rule, "alert.firing", entry, projectId);
+    } else if (status === "ok" && prev.status === "firing") {
+      await notify(rule, "alert.resolved", entry, projectId);
+    }
+
+    state.set(key, entry);
+    if (writer) writer.schedule();
+    return entry;
+  }
+
+  function stateFor(projectId) {
+    return rulesFor(projectId).map((rule) => {
+      const s = state.get(`${projectId}|${rule.id}`) || { status: "unknown" };
+      const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+      return {
+        rule,
+        ...s,
+        since: iso(s.since),
+        lastEvaluatedAt: iso(s.lastEvaluatedAt),
+        lastNotifiedAt: iso(s.lastNotifiedAt)
+      };
+    });
+  }
+
+  return { rulesFor, record, stateFor, flush: writer ? writer.flush : async () => {} };
+}
+
+module.exports = { loadAlertRules, createAlertEngine, COMPARATORS };
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const { readJsonSync } = require("./jsonFile");
+
+// API key registry: who may call the proxy, with which scopes, from which browser origins and how often.
+// Accepted shapes (API_KEYS_FILE path or API_KEYS_JSON string):
+//   [ { "label": "dashboard", "key": "...", "scopes": ["metrics:read"],
+//       "origins": ["https://dash.example.com"], "rateLimit": { "requests": 120, "windowSec": 60 },
+//       "projects": ["shop"] }, ... ]
+// "sha256" (hex digest of the key) may replace "key" so the file holds no plaintext secrets.
+// Scopes: metrics:read (read endpoints; a cache miss on the exports they read still spends quota),
+// cache:refresh (forced refreshes, breakdowns that aren't cached yet and anything that changes stored
+// data, e.g. ad group uploads), debug. Omitted scopes default to metrics:read; omitted origins/projects mean any.
+
+const SCOPES = ["metrics:read", "cache:refresh", "debug"];
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(String(text)).digest();
+}
+
+function normalizeKey(k, i) {
+  const where = `API key ${i}${k?.label ? ` (${k.label})` : ""}`;
+  if (!k || typeof k !== "object") throw new Error(`${where}: must be an object`);
+  const label = String(k.label || "").trim();
+  if (!label) throw new Error(`${where}: label is required`);
+
+  let digest;
+  if (k.sha256) {
+    if (!/^[0-9a-f]{64}$/i.test(String(k.sha256))) throw new Error(`${where}: sha256 must be a hex digest`);
+    digest = Buffer.from(String(k.sha256), "hex");
+  } else if (k.key) {
+    digest = sha256(k.key);
+  } else {
+    throw new Error(`${where}: key or sha256 is required`);
+  }
+
+  const scopes = k.scopes == null ? ["metrics:read"] : k.scopes;
+  if (!Array.isArray(scopes)) throw new Error(`${where}: scopes must be an array`);
+  const unknown = scopes.find((s) => !SCOPES.includes(s));
+  if (unknown) throw new Error(`${where}: unknown scope ${unknown} (use ${SCOPES.join(", ")})`);
+
+  let rateLimit = null;
+  if (k.rateLimit) {
+    const requests = parseInt(k.rateLimit.requests, 10);
+    const windowSec = parseInt(k.rateLimit.windowSec ?? 60, 10);
+    if (!(requests > 0) || !(windowSec > 0)) throw new Error(`${where}: rateLimit needs positive requests and windowSec`);
+    rateLimit = { requests, windowSec };
+  }
+
+  return {
+    label,
+    digest,
+    scopes: [...new Set(scopes)],
+    origins: Array.isArray(k.origins) ? k.origins.map(String) : [],
+    projects: Array.isArray(k.projects) ? k.projects.map(String) : null,
+    rateLimit
+  };
+}
+
+// Key entries from a file or JSON string ([] when neither is set). Throws on invalid config.
+function loadApiKeys({ file, json }) {
+  let raw = [];
+  if (json) raw = JSON.parse(json);
+  else if (file) {
+    raw = readJsonSync(file, null);
+    if (!raw) throw new Error(`API keys file not found or empty: ${file}`);
+  }
+  if (!Array.isArray(raw)) throw new Error("API keys must be an array");
+  return raw.map(normalizeKey);
+}
+
+/**
+ * Lookup, rate limiting and usage counters over normalized key entries
+ * (loadApiKeys output, plus any built in code with the same shape).
+ */
+function createKeyring(entries) {
+  const labels = new Set();
+  for (const e of entries) {
+    if (labels.has(e.label)) throw new Error(`Duplicate API key label: ${e.label}`);
+    labels.add(e.label);
+  }
+
+  const windows = new Map(); // label -> { start, count }, fixed window per key
+  const usage = new Map(); // label -> counters
+
+  // Every entry is compared so lookup time doesn't depend on which key (if any) matched
+  function find(presented) {
+    if (!presented) return null;
+    const digest = sha256(presented);
+    let found = null;
+    for (const e of entries) {
+      if (crypto.timingSafeEqual(digest, e.digest) && !found) found = e;
+    }
+    return found;
+  }
+
+  function consume(entry, now = Date.now()) {
+    if (!entry.rateLimit) return { ok: true };
+    const { requests, windowSec } = entry.rateLimit;
+    let w = windows.get(entry.label);
+    if (!w || now - w.start >= windowSec * 1000) {
+      w = { start: now, count: 0 };
+      windows.set(entry.label, w);
+    }
+    if (w.count >= requests) {
+      return { ok: false, limit: requests, remaining: 0, retryAfterSec: Math.ceil((w.start + windowSec * 1000 - now) / 1000) };
+    }
+    w.count++;
+    return { ok: true, limit: requests, remaining: requests - w.count };
+  }
+
+  // outcome: "allowed" | "forbidden" | "rate_limited"
+  function record(label, outcome, now = Date.now()) {
+    let u = usage.get(label);
+    if (!u) {
+      u = { allowed: 0, forbidden: 0, rate_limited: 0, lastUsedAt: null };
+      usage.set(label, u);
+    }
+    u[outcome]++;
+    u.lastUsedAt = now;
+  }
+
+  function report() {
+    return entries.map((e) => {
+      const u = usage.get(e.label) || { allowed: 0, forbidden: 0, rate_limited: 0, lastUsedAt: null };
+      return {
+        label: e.label,
+        scopes: e.scopes,
+        origins: e.origins,
+        projects: e.projects,
+        rateLimit: e.rateLimit,
+        ...u,
+        lastUsedAt: u.lastUsedAt ? new Date(u.lastUsedAt).toISOString() : null
+      };
+    });
+  }
+
+  return {
+    size: entries.length,
+    find,
+    consume,
+    record,
+    report,
+    origins: () => [...new Set(entries.flatMap((e) => e.origins))]
+  };
+}
+
+module.exports = { SCOPES, sha256, loadApiKeys, createKeyring };
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { readJsonSync, createJsonWriter } = require("./jsonFile");
+
+// Cache stores hold entries shaped { expiresAt, fetchedAt, payload } keyed by cache key.
+// Both stores expose the same sync get/set/delete/entries API so fetchClarityExport
+// doesn't care where the data lives; the file store persists in the background.
+//
+// With maxAgeMs, every set also drops entries that expired and were fetched more than maxAgeMs
+// ago (too old to be served even as stale), so one-off keys don't pile up forever.
+
+function isValidEntry(e) {
+  return e && typeof e === "object" && Number.isFinite(e.expiresAt) && "payload" in e;
+}
+
+function isOutdated(entry, maxAgeMs, now) {
+  return entry.expiresAt <= now && now - (entry.fetchedAt ?? entry.expiresAt) > maxAgeMs;
+}
+
+// Keys whose entries are past maxAgeMs (none without a limit)
+function outdatedKeys(map, maxAgeMs, now = Date.now()) {
+  if (!(maxAgeMs >= 0)) return [];
+  return [...map].filter(([, e]) => isOutdated(e, maxAgeMs, now)).map(([key]) => key);
+}
+
+// In-memory only (tests, throwaway runs). Lost on restart.
+function createMemoryCacheStore({ maxAgeMs = null } = {}) {
+  const map = new Map();
+  return {
+    kind: "memory",
+    get: (key) => map.get(key),
+    set: (key, entry) => {
+      map.set(key, entry);
+      for (const k of outdatedKeys(map, maxAgeMs)) map.delete(k);
+    },
+    delete: (key) => map.delete(key),
+    entries: () => map.entries(),
+    flush: async () => {}
+  };
+}
+
+// File-backed: one JSON file per key ({ key, ...entry }) in dir, loaded once at startup. A set
+// rewrites only its own file, atomically (tmp file + rename), so a write never re-serializes every export.
+function createFileCacheStore({ dir, maxAgeMs = null }) {
+  const map = new Map();
+  const writers = new Map(); // key -> JSON writer for its file
+  const removals = new Set(); // pending unlinks, awaited by flush()
+
+  const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+
+  function writerFor(key) {
+    let w = writers.get(key);
+    if (!w) writers.set(key, (w = createJsonWriter(fileFor(key), () => ({ key, ...map.get(key) }))));
+    return w;
+  }
+
+  function remove(key) {
+    const w = writers.get(key);
+    writers.delete(key);
+    const done = (w ? w.flush() : Promise.resolve())
+      .then(() => { if (!map.has(key)) return fs.promises.unlink(fileFor(key)); })
+      .catch((e) => { if (e.code !== "ENOENT") console.error(`Cache file removal failed: ${e.message}`); })
+      .finally(() => removals.delete(done));
+    removals.add(done);
+  }
+
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).filter((n) => /^[0-9a-f]{40}\.json$/.test(n));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw e;
+  }
+  for (const name of names) {
+    const { key, ...entry } = readJsonSync(path.join(dir, name), null) || {};
+    if (typeof key === "string" && isValidEntry(entry)) map.set(key, entry);
+  }
+
+  for (const key of outdatedKeys(map, maxAgeMs)) {
+    map.delete(key);
+    remove(key);
+  }
+
+  return {
+    kind: "file",
+    dir,
+    get: (key) => map.get(key),
+    set: (key, entry) => {
+      map.set(key, entry);
+      writerFor(key).schedule();
+      for (const k of outdatedKeys(map, maxAgeMs)) {
+        map.delete(k);
+        remove(k);
+      }
+    },
+    delete: (key) => {
+      const had = map.delete(key);
+      if (had) remove(key);
+      return had;
+    },
+    entries: () => map.entries(),
+    flush: async () => {
+      await Promise.all([...writers.values()].map((w) => w.flush()));
+      await Promise.all([...removals]);
+    }
+  };
+}
+
+function createCacheStore({ kind = "file", dir, maxAgeMs } = {}) {
+  if (kind === "memory") return createMemoryCacheStore({ maxAgeMs });
+  if (kind === "file") return createFileCacheStore({ dir, maxAgeMs });
+  throw new Error(`Unknown cache store: ${kind}`);
+}
+
+module.exports = { createCacheStore, createMemoryCacheStore, createFileCacheStore };
@@ -0,0 +1,43 @@
+// Side-by-side comparison of segment outputs (aggregated with rates) against an all-traffic baseline.
+
+// Per-session figures compared besides the rates
+const COMPARED_FIELDS = ["averageScrollDepth", "avgSessionDurationSec", "activeTimePerSessionSec"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function comparedValues(out) {
+  const values = { ...(out.rates || {}) };
+  for (const f of COMPARED_FIELDS) values[f] = out[f];
+  return values;
+}
+
+// { metric: { abs, rel } } where abs = value - baseline and rel = abs as % of baseline (null if baseline is 0)
+function deltasAgainst(out, baseline) {
+  const base = comparedValues(baseline);
+  const deltas = {};
+  for (const [k, v] of Object.entries(comparedValues(out))) {
+    const abs = round2(v - base[k]);
+    deltas[k] = { abs, rel: base[k] ? round2((abs / base[k]) * 100) : null };
+  }
+  return deltas;
+}
+
+/**
+ * segments: { all, <name>: out, ... } where `all` is the baseline.
+ * Each entry gets sessionShare (% of baseline sessions) and deltaVsAll.
+ * Segments read different exports (e.g. Channel+URL vs URL), so shares need not sum to exactly 100.
+ */
+function compareSegments(segments) {
+  const baseline = segments.all;
+  const out = {};
+  for (const [name, seg] of Object.entries(segments)) {
+    out[name] = {
+      ...seg,
+      sessionShare: baseline.totalSessionCount > 0 ? round2((seg.totalSessionCount / baseline.totalSessionCount) * 100) : 0,
+      deltaVsAll: deltasAgainst(seg, baseline)
+    };
+  }
+  return out;
+}
+
+module.exports = { compareSegments, deltasAgainst };
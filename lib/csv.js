@@ -0,0 +1,40 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, "" escapes, CRLF/LF line ends.
+// Returns an array of rows (arrays of strings); blank lines are skipped.
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const s = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+      continue;
+    }
+    if (c === '"' && field === "") quoted = true;
+    else if (c === delimiter) { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f !== "")) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some((f) => f !== "")) rows.push(row);
+  return rows;
+}
+
+// CSV text -> array of objects keyed by the header row
+function parseCsvObjects(text, delimiter = ",") {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return [];
+  const keys = header.map((h) => h.trim());
+  return rows.map((r) => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? "").trim()])));
+}
+
+module.exports = { parseCsv, parseCsvObjects };
@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const { CLARITY_DIMENSIONS } = require("./aggregate");
+const { dimsKey } = require("./snapshotArchive");
+
+// Saved Export API payloads for offline aggregation. Accepted files:
+//   - archive snapshots (<DATA_DIR>/projects/<id>/archive/<date>/<days>d__<Dims>.json):
+//     { date, days, dimensions, fetchedAt, payload }
+//   - fixtures (CLARITY_MODE=record) or any saved response body: the metric block array. Dimensions
+//     come from a <days>d__<Dim1+Dim2+Dim3>.json file name, failing that from the fields of the rows.
+
+// Row field or file name part -> dimension ("Url" -> URL, "CountryRegion" -> Country/Region)
+const fieldKey = (name) => dimsKey([name]).toLowerCase();
+const DIMENSION_BY_FIELD = new Map(CLARITY_DIMENSIONS.map((d) => [fieldKey(d), d]));
+
+// Dimension order doesn't change an export's rows, so files are matched by dimension set
+function dimensionSetKey(dimensions) {
+  return dimensions.map(fieldKey).sort().join("+");
+}
+
+// Dimensions from the first row's fields
+function inferDimensions(payload) {
+  for (const block of Array.isArray(payload) ? payload : []) {
+    const row = Array.isArray(block?.information) ? block.information[0] : null;
+    if (!row) continue;
+    const dims = Object.keys(row).map((k) => DIMENSION_BY_FIELD.get(fieldKey(k)));
+    if (dims.some(Boolean)) return CLARITY_DIMENSIONS.filter((d) => dims.includes(d));
+  }
+  return null;
+}
+
+// { file, days, dimensions, fetchedAt, payload } for one saved export. Throws on unusable files.
+function readExportFile(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`${file}: ${e.code === "ENOENT" ? "not found" : e.message}`);
+  }
+
+  const snapshot = raw && !Array.isArray(raw) && Array.isArray(raw.payload) ? raw : null;
+  const payload = snapshot ? snapshot.payload : raw;
+  if (!Array.isArray(payload)) throw new Error(`${file}: not an export (expected a metric block array or an archive snapshot)`);
+
+  const named = /^(\d+)d__(.+)\.json$/.exec(path.basename(file));
+  const fromName = named ? named[2].split("+").map((k) => DIMENSION_BY_FIELD.get(fieldKey(k))) : null;
+  const dimensions = snapshot?.dimensions ||
+    (fromName && fromName.every(Boolean) ? fromName : null) ||
+    inferDimensions(payload);
+  if (!dimensions || !dimensions.length) {
+    throw new Error(`${file}: can't tell the export's dimensions (name it <days>d__<Dim1+Dim2>.json)`);
+  }
+
+  return {
+    file,
+    days: snapshot?.days ?? (named ? Number(named[1]) : null),
+    dimensions,
+    fetchedAt: snapshot?.fetchedAt ?? null,
+    payload
+  };
+}
+
+/**
+ * Exports keyed by dimension set. Files with the same set are combined block by block, so several
+ * saved days add up; don't pass windows that overlap or those days are counted twice.
+ */
+function combineExports(exportFiles) {
+  const bySet = new Map(); // dimensionSetKey -> { dimensions, files, payload }
+  for (const e of exportFiles) {
+    const key = dimensionSetKey(e.dimensions);
+    const entry = bySet.get(key);
+    if (!entry) bySet.set(key, { dimensions: e.dimensions, files: [e.file], payload: e.payload.slice() });
+    else {
+      entry.files.push(e.file);
+      entry.payload.push(...e.payload);
+    }
+  }
+  return bySet;
+}
+
+module.exports = { dimensionSetKey, inferDimensions, readExportFile, combineExports };
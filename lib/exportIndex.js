@@ -0,0 +1,63 @@
+const { normalizeUrlForMatch, rowUrl } = require("./urls");
+
+// Normalized-URL index over an export payload:
+//   Map<normalizedUrl, Array<{ metricName, row }>>
+// Built once per (payload, filter) so a lookup costs O(rows for that URL)
+// instead of normalizing every row of every block on every request.
+
+const NO_FILTER = "__all__";
+
+// payload -> Map<filterFn | NO_FILTER, index>. Weak so evicted payloads take their indexes with them.
+const indexes = new WeakMap();
+
+// Only filters registered here get a memoized index; ad-hoc lambdas would pile up one index per call.
+const indexedFilters = new Set();
+
+function registerIndexedFilter(filterFn) {
+  if (typeof filterFn === "function") indexedFilters.add(filterFn);
+  return filterFn;
+}
+
+function isIndexable(exportJson, filterFn) {
+  return Array.isArray(exportJson) && (!filterFn || indexedFilters.has(filterFn));
+}
+
+function buildUrlIndex(exportJson, filterFn) {
+  const index = new Map();
+  for (const block of Array.isArray(exportJson) ? exportJson : []) {
+    const metricName = String(block.metricName || "");
+    const rows = Array.isArray(block.information) ? block.information : [];
+
+    for (const row of rows) {
+      if (filterFn && !filterFn(row)) continue;
+
+      const rn = normalizeUrlForMatch(rowUrl(row));
+      if (!rn) continue;
+
+      let list = index.get(rn);
+      if (!list) index.set(rn, (list = []));
+      list.push({ metricName, row });
+    }
+  }
+  return index;
+}
+
+// Memoized index for (payload, filter). Callers must check isIndexable() first.
+function getUrlIndex(exportJson, filterFn = null) {
+  let perFilter = indexes.get(exportJson);
+  if (!perFilter) indexes.set(exportJson, (perFilter = new Map()));
+
+  const key = filterFn || NO_FILTER;
+  let index = perFilter.get(key);
+  if (!index) perFilter.set(key, (index = buildUrlIndex(exportJson, filterFn)));
+  return index;
+}
+
+// Build the unfiltered index plus one per given filter up front (called when a payload is cached)
+function warmUrlIndexes(exportJson, filterFns = []) {
+  if (!Array.isArray(exportJson)) return;
+  getUrlIndex(exportJson, null);
+  for (const fn of filterFns) if (isIndexable(exportJson, fn)) getUrlIndex(exportJson, fn);
+}
+
+module.exports = { registerIndexedFilter, isIndexable, buildUrlIndex, getUrlIndex, warmUrlIndexes };
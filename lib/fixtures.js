@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const { writeJsonAtomic } = require("./jsonFile");
+const { dimsKey } = require("./snapshotArchive");
+
+// Recorded Export API responses for offline development (CLARITY_MODE=record / replay).
+// Layout: <dir>/<days>d__<Dim1+Dim2+Dim3>.json holding the response body as returned upstream;
+// recording the same combo again replaces the file.
+
+const MODES = ["live", "record", "replay"];
+
+function createFixtureStore({ dir }) {
+  function fileFor(days, dimensions) {
+    return path.join(dir, `${days}d__${dimsKey(dimensions)}.json`);
+  }
+
+  async function save(days, dimensions, payload) {
+    const file = fileFor(days, dimensions);
+    await writeJsonAtomic(file, payload);
+    return file;
+  }
+
+  // Recorded payload; rejects with a descriptive error when the combo was never recorded
+  async function load(days, dimensions) {
+    const file = fileFor(days, dimensions);
+    try {
+      return JSON.parse(await fs.promises.readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      throw new Error(`No fixture for ${days}d ${dimensions.join("+")} (expected ${file}; record it with CLARITY_MODE=record)`);
+    }
+  }
+
+  return { dir, fileFor, save, load };
+}
+
+module.exports = { MODES, createFixtureStore };
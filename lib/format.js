@@ -0,0 +1,123 @@
+const { createBaseOutput } = require("./aggregate");
+
+// Output formats for metric responses: json (default, nested as before) or flattened rows as
+// csv, tsv or ndjson for Google Sheets IMPORTDATA and Ads script bulk uploads.
+//
+// Flattening turns nested objects into dotted columns (RageClickCount.sessionsCount) and
+// arrays into one cell (space-separated, e.g. matchedUrls). Column order is fixed:
+//   1. route-specific columns (key, segment, mode, date, adGroupIds, ...) in the order the route emits them
+//   2. METRIC_COLUMNS, always all of them in createBaseOutput order:
+//      targetUrl, normalizedTarget, matchedRows, matchedUrls,
+//      totalSessionCount, totalBotSessionCount, distinctUserCount, pagesPerSessionPercentage,
+//      totalTime, activeTime, averageScrollDepth,
+//      <Group>.sessionsCount, <Group>.sessionsWithMetricPercentage, <Group>.sessionsWithoutMetricPercentage,
+//      <Group>.pagesViews, <Group>.subTotal   for Group in RageClickCount, DeadClickCount, ExcessiveScroll,
+//                                             QuickbackClick, ScriptErrorCount, ErrorClickCount
+//      avgSessionDurationSec, activeTimePerSessionSec
+//   3. any other columns, in first-seen order
+// Rows without metric fields (e.g. the ad group list) skip group 2.
+
+const FORMATS = ["json", "csv", "tsv", "ndjson"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  tsv: "text/tab-separated-values; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8"
+};
+
+function flattenObject(obj, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenObject(v, key, out);
+    else out[key] = Array.isArray(v) ? v.map((x) => (x && typeof x === "object" ? JSON.stringify(x) : String(x))).join(" ") : v;
+  }
+  return out;
+}
+
+const METRIC_COLUMNS = Object.keys(flattenObject(createBaseOutput("")));
+const METRIC_COLUMN_SET = new Set(METRIC_COLUMNS);
+
+// Stable header for a set of flattened rows (see ordering above)
+function columnsFor(flatRows) {
+  const leading = [];
+  const trailing = [];
+  let hasMetrics = false;
+
+  for (const row of flatRows) {
+    let seenMetric = false;
+    for (const k of Object.keys(row)) {
+      if (METRIC_COLUMN_SET.has(k)) { seenMetric = hasMetrics = true; continue; }
+      const list = seenMetric ? trailing : leading;
+      if (!leading.includes(k) && !trailing.includes(k)) list.push(k);
+    }
+  }
+  return [...leading, ...(hasMetrics ? METRIC_COLUMNS : []), ...trailing];
+}
+
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  return String(v);
+}
+
+function csvCell(v) {
+  const s = cellText(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function tsvCell(v) {
+  return cellText(v).replace(/[\t\r\n]+/g, " ");
+}
+
+// Serialize rows (plain objects, nested OK) as csv | tsv | ndjson text
+function formatRows(rows, format) {
+  const flat = rows.map((r) => flattenObject(r));
+  if (format === "ndjson") return flat.map((r) => JSON.stringify(r)).join("\n") + (flat.length ? "\n" : "");
+
+  const columns = columnsFor(flat);
+  const [cell, sep] = format === "tsv" ? [tsvCell, "\t"] : [csvCell, ","];
+  const lines = [columns.map(cell).join(sep), ...flat.map((r) => columns.map((c) => cell(r[c])).join(sep))];
+  return lines.join("\r\n") + "\r\n";
+}
+
+// ?format= wins; otherwise the Accept header picks a row format; json by default. null if unknown.
+function requestedFormat(req) {
+  if (req.query.format !== undefined) {
+    const f = String(req.query.format).toLowerCase();
+    return FORMATS.includes(f) ? f : null;
+  }
+  const accept = String(req.headers.accept || "");
+  if (accept.includes("text/csv")) return "csv";
+  if (accept.includes("text/tab-separated-values")) return "tsv";
+  if (accept.includes("application/x-ndjson")) return "ndjson";
+  return "json";
+}
+
+/**
+ * Send body as JSON, or rows in the requested row format.
+ * rows defaults to [body] for single-object responses.
+ */
+function sendFormatted(req, res, body, rows = [body]) {
+  const format = requestedFormat(req);
+  if (!format) return res.status(400).json({ error: `format must be one of ${FORMATS.join(", ")}` });
+
+  // Built from an expired export because upstream failed (res.locals.stale set by the server)
+  const stale = res.locals.stale;
+  if (stale) {
+    res.setHeader("Age", String(stale.ageSec));
+    res.append("Warning", '110 - "Response is Stale"');
+  }
+  // Built from an export whose schema drifted from the stored baseline (res.locals.schemaDrift: family -> summary)
+  const drift = res.locals.schemaDrift;
+  if (drift) res.append("Warning", '199 - "Clarity export schema changed, see /debug/schema/diff"');
+  if (format === "json") {
+    let out = body;
+    if (stale) out = { ...out, stale: true, staleAgeSec: stale.ageSec, staleFetchedAt: new Date(stale.fetchedAt).toISOString() };
+    if (drift) out = { ...out, schemaWarning: { message: "Clarity export schema differs from the stored baseline; some numbers may be missing", families: drift } };
+    return res.json(out);
+  }
+
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.send(formatRows(rows, format));
+}
+
+module.exports = { FORMATS, METRIC_COLUMNS, flattenObject, formatRows, requestedFormat, sendFormatted };
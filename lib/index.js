@@ -0,0 +1,65 @@
+// Library entry point (package "main"): aggregation of Clarity Export API payloads without the HTTP
+// server, e.g. over saved exports (scripts/clarity-proxy.js). server.js is built on the same modules.
+
+const { normalizeUrlForMatch, rowUrl, compileUrlMatcher, MATCH_MODES } = require("./urls");
+const {
+  GROUP_NAMES,
+  RATE_NAMES,
+  CLARITY_DIMENSIONS,
+  isPaidSearchRow,
+  isGoogleCpcRow,
+  aggregateManyFromExport,
+  aggregateAllMetricsFromExport,
+  aggregateBreakdownFromExport,
+  rollupOutputs
+} = require("./aggregate");
+const { getUrlIndex } = require("./exportIndex");
+const { loadSegments, describeSegment, segmentMetricsFromExports, segmentUrlKeys } = require("./segments");
+const { aggregationVersion, matchOptions, scoreRequested } = require("./options");
+const { loadScoring, scoreOutput } = require("./score");
+const { compareSegments } = require("./compare");
+const { RANK_METRICS, rankOutputs } = require("./report");
+const { FORMATS, formatRows } = require("./format");
+const { dimensionSetKey, readExportFile, combineExports } = require("./exportFiles");
+
+module.exports = {
+  // URLs
+  normalizeUrlForMatch,
+  rowUrl,
+  compileUrlMatcher,
+  MATCH_MODES,
+  getUrlIndex,
+  // Aggregation
+  GROUP_NAMES,
+  RATE_NAMES,
+  CLARITY_DIMENSIONS,
+  aggregateManyFromExport,
+  aggregateAllMetricsFromExport,
+  aggregateBreakdownFromExport,
+  rollupOutputs,
+  // Google Ads row filters (the built-in googleads segment)
+  isPaidSearchRow,
+  isGoogleCpcRow,
+  // Segments
+  loadSegments,
+  describeSegment,
+  segmentMetricsFromExports,
+  segmentUrlKeys,
+  // Options as accepted by the HTTP routes
+  aggregationVersion,
+  matchOptions,
+  scoreRequested,
+  // Scoring, comparison, ranking
+  loadScoring,
+  scoreOutput,
+  compareSegments,
+  RANK_METRICS,
+  rankOutputs,
+  // Output
+  FORMATS,
+  formatRows,
+  // Saved exports
+  dimensionSetKey,
+  readExportFile,
+  combineExports
+};
@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+// Read a JSON file, returning fallback when it doesn't exist yet.
+function readJsonSync(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`${file} unreadable, ignoring: ${e.message}`);
+    return fallback;
+  }
+}
+
+// Atomic write: tmp file + rename, so a crash mid-write never leaves a truncated file.
+async function writeJsonAtomic(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tmp, JSON.stringify(value));
+  await fs.promises.rename(tmp, file);
+}
+
+// Serialized writer for a file whose content is produced by snapshot():
+// at most one write in flight plus one queued, so bursts of changes coalesce.
+function createJsonWriter(file, snapshot) {
+  let writing = null;
+  let pending = false;
+
+  function schedule() {
+    if (writing) { pending = true; return writing; }
+    writing = writeJsonAtomic(file, snapshot())
+      .catch((e) => console.error(`Write to ${file} failed: ${e.message}`))
+      .finally(() => {
+        writing = null;
+        if (pending) { pending = false; schedule(); }
+      });
+    return writing;
+  }
+
+  async function flush() {
+    while (writing) await writing;
+  }
+
+  return { schedule, flush };
+}
+
+module.exports = { readJsonSync, writeJsonAtomic, createJsonWriter };
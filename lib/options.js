@@ -0,0 +1,38 @@
+const { compileUrlMatcher, MATCH_MODES } = require("./urls");
+
+// Aggregation options shared by the HTTP routes (query string / batch body) and the CLI.
+// Each parser throws with a message meant for the caller (-> 400 over HTTP) on bad input.
+
+// Aggregation version from v: 1 (default, original numbers) or 2 (session-weighted averages,
+// percentages recomputed from counts)
+function aggregationVersion(src) {
+  const v = String(src?.v ?? "1");
+  if (v !== "1" && v !== "2") throw new Error("v must be 1 or 2");
+  return Number(v);
+}
+
+// match / keepParams (plus the aggregation version and include=unknown), validated against the
+// patterns they apply to. keepParams and include may be arrays or comma-separated lists.
+function matchOptions(src, patterns) {
+  const match = String(src?.match || "exact");
+  if (!MATCH_MODES.includes(match)) throw new Error(`match must be one of ${MATCH_MODES.join(", ")}`);
+
+  const raw = src?.keepParams;
+  const keepParams = (Array.isArray(raw) ? raw : String(raw || "").split(","))
+    .map((p) => String(p).trim())
+    .filter(Boolean);
+
+  for (const p of patterns) compileUrlMatcher(p, match, { keepParams });
+  const include = (Array.isArray(src?.include) ? src.include : String(src?.include || "").split(",")).map((i) => String(i).trim());
+  return { match, keepParams, version: aggregationVersion(src), includeUnknown: include.includes("unknown") };
+}
+
+// score=1 asks for uxScore, lowConfidence and scoreComponents (see lib/score.js)
+function scoreRequested(src) {
+  const v = src?.score;
+  if (v === undefined || v === "" || v === "0") return false;
+  if (v === "1") return true;
+  throw new Error("score must be 0 or 1");
+}
+
+module.exports = { aggregationVersion, matchOptions, scoreRequested };
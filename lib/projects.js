@@ -0,0 +1,57 @@
+const { readJsonSync } = require("./jsonFile");
+
+// Project registry: project id -> Clarity token, optional shared secret, quota budget
+// and ad group mapping file (CSV/JSON, see lib/adGroupMap.js).
+// Accepted shapes (PROJECTS_FILE path or PROJECTS_JSON string):
+//   { "shop": { "token": "...", "sharedSecret": "...", "quotaBudget": 10, "adGroupsFile": "shop-adgroups.csv" }, ... }
+//   [ { "id": "shop", "token": "...", ... }, ... ]
+// With no registry configured, a single "default" project is built from the legacy env vars.
+
+const PROJECT_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function normalizeProject(id, p, defaults) {
+  if (!PROJECT_ID_RE.test(String(id || ""))) throw new Error(`Invalid project id: ${JSON.stringify(id)}`);
+  if (!p || typeof p !== "object") throw new Error(`Project ${id}: config must be an object`);
+
+  const budget = p.quotaBudget != null ? parseInt(p.quotaBudget, 10) : defaults.quotaBudget;
+  if (!Number.isFinite(budget) || budget < 0) throw new Error(`Project ${id}: invalid quotaBudget`);
+
+  return {
+    id: String(id),
+    token: p.token || p.clarityApiToken || "",
+    sharedSecret: p.sharedSecret || defaults.sharedSecret || "",
+    quotaBudget: budget,
+    adGroupsFile: p.adGroupsFile || null
+  };
+}
+
+function parseRegistry(raw, defaults) {
+  const entries = Array.isArray(raw) ? raw.map((p) => [p?.id, p]) : Object.entries(raw || {});
+  const projects = new Map();
+  for (const [id, p] of entries) {
+    const project = normalizeProject(id, p, defaults);
+    if (projects.has(project.id)) throw new Error(`Duplicate project id: ${project.id}`);
+    projects.set(project.id, project);
+  }
+  return projects;
+}
+
+/**
+ * Load the registry from a file or JSON string, falling back to one "default" project.
+ * defaults: { token, sharedSecret, quotaBudget, adGroupsFile } from the legacy single-project env vars.
+ * Returns Map<id, { id, token, sharedSecret, quotaBudget, adGroupsFile }>. Throws on invalid config.
+ */
+function loadProjectRegistry({ file, json, defaults }) {
+  let raw = null;
+  if (json) raw = JSON.parse(json);
+  else if (file) {
+    raw = readJsonSync(file, null);
+    if (!raw) throw new Error(`Projects file not found or empty: ${file}`);
+  }
+
+  const projects = raw ? parseRegistry(raw, defaults) : new Map();
+  if (!projects.size) projects.set("default", normalizeProject("default", { token: defaults.token, adGroupsFile: defaults.adGroupsFile }, defaults));
+  return projects;
+}
+
+module.exports = { loadProjectRegistry, PROJECT_ID_RE };
@@ -0,0 +1,79 @@
+// Minimal Prometheus registry (text exposition format 0.0.4): counters, histograms and
+// gauges collected at scrape time. Label sets are kept per metric, so only use labels with
+// bounded values (route patterns, dimension sets, status codes), never raw URLs.
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function pick(labelNames, labels = {}) {
+  const out = {};
+  for (const n of labelNames) out[n] = labels[n] ?? "";
+  return out;
+}
+
+function createRegistry() {
+  const metrics = [];
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map(); // labelText -> value
+    metrics.push({
+      name, help, type: "counter",
+      lines: () => [...series].map(([l, v]) => `${name}${l} ${v}`)
+    });
+    return {
+      inc(labels, n = 1) {
+        const key = labelText(pick(labelNames, labels));
+        series.set(key, (series.get(key) || 0) + n);
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+    const series = new Map(); // labelText -> { labels, counts, sum, count }
+    metrics.push({
+      name, help, type: "histogram",
+      lines: () => [...series.values()].flatMap((s) => [
+        ...buckets.map((b, i) => `${name}_bucket${labelText({ ...s.labels, le: b })} ${s.counts[i]}`),
+        `${name}_bucket${labelText({ ...s.labels, le: "+Inf" })} ${s.count}`,
+        `${name}_sum${labelText(s.labels)} ${s.sum}`,
+        `${name}_count${labelText(s.labels)} ${s.count}`
+      ])
+    });
+    return {
+      observe(labels, value) {
+        const picked = pick(labelNames, labels);
+        const key = labelText(picked);
+        let s = series.get(key);
+        if (!s) {
+          s = { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, s);
+        }
+        buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  // collect() returns [[labels, value], ...] at scrape time
+  function gauge(name, help, collect) {
+    metrics.push({
+      name, help, type: "gauge",
+      lines: () => collect().map(([labels, v]) => `${name}${labelText(labels)} ${v}`)
+    });
+  }
+
+  function render() {
+    return metrics.map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n")).join("\n") + "\n";
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry };
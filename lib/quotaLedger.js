@@ -0,0 +1,61 @@
+const { readJsonSync, createJsonWriter } = require("./jsonFile");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error thrown when a forced upstream call would exceed the rolling budget.
+// Routes map err.status straight to the HTTP status.
+function quotaExceededError(usage) {
+  const retryAfterSec = usage.nextSlotAt ? Math.max(1, Math.ceil((usage.nextSlotAt - Date.now()) / 1000)) : null;
+  const err = new Error(
+    `Clarity quota budget exhausted: ${usage.used}/${usage.budget} calls in the last 24h` +
+      (retryAfterSec ? `, next slot in ${retryAfterSec}s` : "")
+  );
+  err.status = 429;
+  err.code = "QUOTA_EXCEEDED";
+  err.retryAfterSec = retryAfterSec;
+  return err;
+}
+
+// Ledger of real upstream Clarity calls over a rolling window (24h by default).
+// Every call is recorded whatever its outcome, since failed calls may still count upstream.
+// Pass a file to keep the ledger across restarts; omit it for an in-memory ledger.
+function createQuotaLedger({ budget = 10, windowMs = DAY_MS, file = null } = {}) {
+  let calls = file ? (readJsonSync(file, null)?.calls || []) : [];
+  const writer = file ? createJsonWriter(file, () => ({ version: 1, calls })) : null;
+
+  function prune(now = Date.now()) {
+    const cutoff = now - windowMs;
+    if (calls.length && calls[0].at <= cutoff) calls = calls.filter((c) => c.at > cutoff);
+  }
+
+  function record({ at = Date.now(), dimensions = [], days = null, status = null }) {
+    prune(at);
+    calls.push({ at, dimensions, days, status });
+    if (writer) writer.schedule();
+  }
+
+  function usage(now = Date.now()) {
+    prune(now);
+    const used = calls.length;
+    const remaining = Math.max(0, budget - used);
+    // When full, the next slot frees when the oldest call that keeps us at budget ages out
+    const blocking = used >= budget ? calls[used - budget] : null;
+    return {
+      budget,
+      windowMs,
+      used,
+      remaining,
+      nextSlotAt: blocking ? blocking.at + windowMs : null,
+      calls: calls.slice()
+    };
+  }
+
+  function assertAvailable(now = Date.now()) {
+    const u = usage(now);
+    if (u.remaining <= 0) throw quotaExceededError(u);
+  }
+
+  return { record, usage, assertAvailable, flush: writer ? writer.flush : async () => {} };
+}
+
+module.exports = { createQuotaLedger, quotaExceededError };
@@ -0,0 +1,37 @@
+const { GROUP_NAMES, RATE_NAMES } = require("./aggregate");
+
+// Ranking of per-URL outputs (aggregated with rates) by one metric, for "worst pages" reports.
+// Rankable metrics:
+//   - a group name (RageClickCount, ...): its subTotal, i.e. how often it happened
+//   - a derived rate (rageClickRate, ..., botShare): sessions with it per 100 sessions
+//   - a per-URL field: totalSessionCount, averageScrollDepth, avgSessionDurationSec, ...
+
+const FIELD_METRICS = [
+  "totalSessionCount", "totalBotSessionCount", "distinctUserCount", "pagesPerSessionPercentage",
+  "averageScrollDepth", "avgSessionDurationSec", "activeTimePerSessionSec"
+];
+const RATE_METRICS = [...Object.values(RATE_NAMES), "botShare"];
+const RANK_METRICS = [...GROUP_NAMES, ...RATE_METRICS, ...FIELD_METRICS];
+
+function metricValue(out, metric) {
+  if (GROUP_NAMES.includes(metric)) return out[metric].subTotal;
+  if (RATE_METRICS.includes(metric)) return out.rates ? out.rates[metric] : 0;
+  return out[metric];
+}
+
+/**
+ * outputs with at least minSessions sessions, ranked by metric ("desc" puts the highest first)
+ * and cut to limit. Ties go to the busier URL. Returns [{ rank, value, ...out }].
+ */
+function rankOutputs(outputs, { metric, order = "desc", limit = 20, minSessions = 0 }) {
+  const sign = order === "asc" ? 1 : -1;
+  return outputs
+    .filter((o) => o.totalSessionCount >= minSessions)
+    .map((o) => ({ value: metricValue(o, metric), out: o }))
+    .sort((a, b) => sign * (a.value - b.value) || b.out.totalSessionCount - a.out.totalSessionCount ||
+      String(a.out.targetUrl).localeCompare(String(b.out.targetUrl)))
+    .slice(0, limit)
+    .map(({ value, out }, i) => ({ rank: i + 1, value, ...out }));
+}
+
+module.exports = { RANK_METRICS, metricValue, rankOutputs };
@@ -0,0 +1,151 @@
+// In-process refresh scheduler: keeps a set of export combos (days + dimension set) warm per
+// project so users don't pay upstream latency when the cache TTL runs out.
+//
+// - A combo is refreshed shortly (leadMs) before its cache entry expires.
+// - Scheduler calls are spaced at least windowMs / (budget - reserve) apart per project, and
+//   never made when fewer than `reserve` quota calls are left (kept for manual refreshes).
+// - Combos nobody requested within idleMs are skipped ("idle"), except those marked always
+//   (e.g. the daily 1-day URL export for the snapshot archive). If more combos are active than the
+//   budget allows per TTL, always combos win, then the most recently requested ones ("over_budget").
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_COMBOS = [
+  { days: 3, dimensions: ["URL"] },
+  { days: 3, dimensions: ["Channel", "URL"] },
+  { days: 3, dimensions: ["Source", "Medium", "URL"] }
+];
+
+function comboKey(days, dimensions) {
+  return `${days}|${dimensions.join("|")}`;
+}
+
+// Parse SCHEDULER_COMBOS-style JSON: [{ "days": 3, "dimensions": ["Device", "URL"], "always": false }, ...]
+function parseCombos(json) {
+  if (!json) return DEFAULT_COMBOS;
+  const list = JSON.parse(json);
+  if (!Array.isArray(list) || !list.length) throw new Error("Scheduler combos must be a non-empty array");
+  return list.map((c, i) => {
+    const dimensions = Array.isArray(c?.dimensions) ? c.dimensions.map(String) : [];
+    if (!dimensions.length || dimensions.length > 3) throw new Error(`Scheduler combo ${i}: 1-3 dimensions required`);
+    return { days: Math.min(Math.max(parseInt(c.days, 10) || 3, 1), 3), dimensions, always: c.always === true };
+  });
+}
+
+/**
+ * refresh(project, combo) performs the upstream call (forced) and rejects on failure;
+ * cacheEntry(project, combo) returns the cached { expiresAt, fetchedAt } or null.
+ */
+function createScheduler({
+  combos = DEFAULT_COMBOS,
+  refresh,
+  cacheEntry,
+  idleMs = 3 * DAY_MS,
+  reserve = 2,
+  leadMs = 30 * 60 * 1000,
+  windowMs = DAY_MS,
+  tickMs = 60 * 1000
+}) {
+  const lastRequested = new Map(); // `${projectId}|${comboKey}` -> ms
+  const runs = new Map(); // same key -> { lastRunAt, lastStatus, lastError }
+  const lastCallAt = new Map(); // projectId -> ms
+  const busy = new Set(); // projectIds with a refresh in flight
+  let timer = null;
+  let projectsRef = [];
+
+  function noteRequest(projectId, days, dimensions, now = Date.now()) {
+    lastRequested.set(`${projectId}|${comboKey(days, dimensions)}`, now);
+  }
+
+  function plan(project, now = Date.now()) {
+    const usage = project.quota.usage(now);
+    const slots = Math.max(0, usage.budget - reserve);
+    const spacingMs = slots > 0 ? Math.ceil(windowMs / slots) : null;
+    const last = lastCallAt.get(project.id) || 0;
+
+    const entries = combos.map((combo) => {
+      const key = `${project.id}|${comboKey(combo.days, combo.dimensions)}`;
+      const requestedAt = lastRequested.get(key) || null;
+      const cached = cacheEntry(project, combo);
+      return {
+        ...combo,
+        lastRequestedAt: requestedAt,
+        cachedUntil: cached ? cached.expiresAt : null,
+        ...(runs.get(key) || { lastRunAt: null, lastStatus: null, lastError: null }),
+        status: combo.always || (requestedAt && now - requestedAt <= idleMs) ? "active" : "idle",
+        nextRunAt: null
+      };
+    });
+
+    // Always combos, then the most recently requested active ones get the available slots
+    const active = entries.filter((e) => e.status === "active")
+      .sort((a, b) => !!b.always - !!a.always || b.lastRequestedAt - a.lastRequestedAt);
+    active.slice(slots).forEach((e) => { e.status = "over_budget"; });
+
+    let earliest = Math.max(now, spacingMs ? last + spacingMs : now);
+    const scheduled = active.slice(0, slots).sort((a, b) => (a.cachedUntil || 0) - (b.cachedUntil || 0));
+    for (const e of scheduled) {
+      e.nextRunAt = Math.max(e.cachedUntil ? e.cachedUntil - leadMs : now, earliest);
+      earliest = e.nextRunAt + spacingMs;
+    }
+
+    return { project: project.id, budget: usage.budget, reserve, remaining: usage.remaining, spacingMs, lastCallAt: last || null, combos: entries };
+  }
+
+  async function tickProject(project, now) {
+    if (busy.has(project.id)) return;
+    const p = plan(project, now);
+    if (p.remaining <= reserve) return;
+
+    const due = p.combos.filter((e) => e.nextRunAt !== null && e.nextRunAt <= now).sort((a, b) => a.nextRunAt - b.nextRunAt)[0];
+    if (!due) return;
+
+    const key = `${project.id}|${comboKey(due.days, due.dimensions)}`;
+    busy.add(project.id);
+    lastCallAt.set(project.id, now);
+    try {
+      await refresh(project, due);
+      runs.set(key, { lastRunAt: now, lastStatus: "ok", lastError: null });
+    } catch (e) {
+      runs.set(key, { lastRunAt: now, lastStatus: "error", lastError: String(e.message || e) });
+    } finally {
+      busy.delete(project.id);
+    }
+  }
+
+  function tick(now = Date.now()) {
+    return Promise.all(projectsRef.map((p) => tickProject(p, now)));
+  }
+
+  function start(projects) {
+    projectsRef = projects;
+    if (timer) return;
+    timer = setInterval(() => { tick().catch((e) => console.error(`Scheduler tick failed: ${e.message}`)); }, tickMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    combos,
+    noteRequest,
+    plan,
+    tick,
+    start,
+    stop,
+    isRunning: () => !!timer,
+    tickMs
+  };
+}
+
+// combos plus extra ones, an extra replacing a combo with the same days and dimensions
+function mergeCombos(combos, extra) {
+  const byKey = new Map(combos.map((c) => [comboKey(c.days, c.dimensions), c]));
+  for (const c of extra) byKey.set(comboKey(c.days, c.dimensions), c);
+  return [...byKey.values()];
+}
+
+module.exports = { createScheduler, parseCombos, mergeCombos, DEFAULT_COMBOS };
@@ -0,0 +1,134 @@
+const { readJsonSync, createJsonWriter } = require("./jsonFile");
+
+// Schema drift detection for Export API payloads. A schema is, per metric block, the fields seen
+// in its rows and their type: "number", "numeric-string" (how Clarity sends most counts), "string",
+// "null", or "mixed" when rows disagree. The first payload of each dimension set ("family", e.g.
+// "Channel+URL") becomes its baseline; every later fresh payload is diffed against it until the
+// baseline is explicitly replaced.
+
+const SAMPLE_ROWS = 500; // rows inspected per block
+
+function fieldType(v) {
+  if (v === null || v === undefined) return "null";
+  if (typeof v === "number") return "number";
+  if (typeof v === "string" && v.trim() !== "" && Number.isFinite(Number(v))) return "numeric-string";
+  return typeof v === "string" ? "string" : typeof v;
+}
+
+// { blocks: { [metricName]: { rowCount, fields: { [field]: type } } } }
+function extractSchema(exportJson) {
+  const blocks = {};
+  for (const block of Array.isArray(exportJson) ? exportJson : []) {
+    const rows = Array.isArray(block?.information) ? block.information : [];
+    const fields = {};
+    for (const r of rows.slice(0, SAMPLE_ROWS)) {
+      for (const [k, v] of Object.entries(r || {})) {
+        const t = fieldType(v);
+        // null next to a real type is a missing value, not a type change
+        if (!fields[k] || fields[k] === "null") fields[k] = t;
+        else if (t !== "null" && fields[k] !== t) fields[k] = "mixed";
+      }
+    }
+    blocks[String(block?.metricName || "")] = { rowCount: rows.length, fields };
+  }
+  return { blocks };
+}
+
+function diffSchemas(baseline, current) {
+  const diff = { addedBlocks: [], removedBlocks: [], addedFields: [], removedFields: [], typeChanges: [] };
+  const before = baseline.blocks;
+  const after = current.blocks;
+
+  for (const name of Object.keys(after)) if (!before[name]) diff.addedBlocks.push(name);
+  for (const name of Object.keys(before)) if (!after[name]) diff.removedBlocks.push(name);
+
+  for (const name of Object.keys(after)) {
+    if (!before[name]) continue;
+    const was = before[name].fields;
+    const now = after[name].fields;
+    // An empty block has no fields to compare
+    if (!after[name].rowCount || !before[name].rowCount) continue;
+    for (const f of Object.keys(now)) {
+      if (!(f in was)) diff.addedFields.push({ block: name, field: f, type: now[f] });
+      else if (was[f] !== now[f] && was[f] !== "null" && now[f] !== "null") diff.typeChanges.push({ block: name, field: f, from: was[f], to: now[f] });
+    }
+    for (const f of Object.keys(was)) if (!(f in now)) diff.removedFields.push({ block: name, field: f });
+  }
+
+  diff.changed = Object.values(diff).some((list) => list.length > 0);
+  return diff;
+}
+
+// One-line summary for response warnings
+function summarizeDiff(diff) {
+  const parts = [];
+  if (diff.addedBlocks.length) parts.push(`new blocks ${diff.addedBlocks.join(", ")}`);
+  if (diff.removedBlocks.length) parts.push(`missing blocks ${diff.removedBlocks.join(", ")}`);
+  if (diff.removedFields.length) parts.push(`missing fields ${diff.removedFields.map((f) => `${f.block}.${f.field}`).join(", ")}`);
+  if (diff.addedFields.length) parts.push(`new fields ${diff.addedFields.map((f) => `${f.block}.${f.field}`).join(", ")}`);
+  if (diff.typeChanges.length) parts.push(`type changes ${diff.typeChanges.map((f) => `${f.block}.${f.field} ${f.from}->${f.to}`).join(", ")}`);
+  return parts.join("; ");
+}
+
+/**
+ * Baselines and latest diffs per family, persisted to file (memory-only without one).
+ * check(family, exportJson) records a fresh payload and returns its diff (null when it became the baseline).
+ */
+function createSchemaMonitor({ file = null } = {}) {
+  const saved = (file && readJsonSync(file, null)) || {};
+  const baselines = new Map(Object.entries(saved.baselines || {})); // family -> { capturedAt, schema }
+  const latest = new Map(Object.entries(saved.latest || {})); // family -> { checkedAt, diff }
+  const writer = file
+    ? createJsonWriter(file, () => ({ version: 1, baselines: Object.fromEntries(baselines), latest: Object.fromEntries(latest) }))
+    : null;
+
+  function check(family, exportJson, now = Date.now()) {
+    const schema = extractSchema(exportJson);
+    const base = baselines.get(family);
+    if (!base) {
+      baselines.set(family, { capturedAt: now, schema });
+      latest.delete(family);
+      if (writer) writer.schedule();
+      return null;
+    }
+    const diff = diffSchemas(base.schema, schema);
+    latest.set(family, { checkedAt: now, diff, schema });
+    if (writer) writer.schedule();
+    return diff;
+  }
+
+  // Latest diff for a family when it differs from the baseline, else null
+  function driftFor(family) {
+    const l = latest.get(family);
+    return l && l.diff.changed ? l.diff : null;
+  }
+
+  // Make the latest checked schema the baseline (drift acknowledged)
+  function acceptLatest(family, now = Date.now()) {
+    const l = latest.get(family);
+    if (!l) return false;
+    baselines.set(family, { capturedAt: now, schema: l.schema });
+    latest.delete(family);
+    if (writer) writer.schedule();
+    return true;
+  }
+
+  function report() {
+    return [...baselines].map(([family, b]) => {
+      const l = latest.get(family);
+      return {
+        family,
+        baselineCapturedAt: new Date(b.capturedAt).toISOString(),
+        lastCheckedAt: l ? new Date(l.checkedAt).toISOString() : null,
+        changed: l ? l.diff.changed : false,
+        summary: l && l.diff.changed ? summarizeDiff(l.diff) : "",
+        diff: l ? l.diff : null,
+        baselineBlocks: Object.keys(b.schema.blocks)
+      };
+    });
+  }
+
+  return { check, driftFor, acceptLatest, report, flush: () => (writer ? writer.flush() : Promise.resolve()) };
+}
+
+module.exports = { extractSchema, diffSchemas, summarizeDiff, createSchemaMonitor };
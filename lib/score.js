@@ -0,0 +1,91 @@
+const { readJsonSync } = require("./jsonFile");
+
+// Composite landing-page UX score (0-100, higher is better) from an output aggregated with rates.
+// Each component maps one figure to a 0..1 subscore:
+//   - "lower" components (frustration rates, sessions with it per 100 sessions) score 1 at 0 and
+//     0 at or above cap
+//   - "higher" components (scroll depth %, active seconds per session) score 0 at 0 and 1 at or
+//     above cap
+// uxScore is the weighted mean of the subscores times 100. Components with weight 0 are left out.
+//
+// Overrides (SCORING_FILE / SCORING_JSON) are merged over the defaults, e.g.
+//   { "minSessions": 100, "components": { "rageClickRate": { "weight": 30, "cap": 5 } } }
+// Scores built from fewer than minSessions sessions are flagged lowConfidence.
+
+const DEFAULT_SCORING = {
+  minSessions: 50,
+  components: {
+    rageClickRate: { direction: "lower", weight: 20, cap: 10 },
+    deadClickRate: { direction: "lower", weight: 15, cap: 25 },
+    quickbackRate: { direction: "lower", weight: 15, cap: 20 },
+    excessiveScrollRate: { direction: "lower", weight: 10, cap: 20 },
+    scriptErrorRate: { direction: "lower", weight: 10, cap: 15 },
+    averageScrollDepth: { direction: "higher", weight: 15, cap: 75 },
+    activeTimePerSessionSec: { direction: "higher", weight: 15, cap: 60 }
+  }
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Scoring config (defaults plus overrides). Throws on invalid config.
+function loadScoring({ file, json } = {}) {
+  let raw = {};
+  if (json) raw = JSON.parse(json);
+  else if (file) {
+    raw = readJsonSync(file, null);
+    if (!raw) throw new Error(`Scoring file not found or empty: ${file}`);
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Scoring config must be an object");
+
+  const minSessions = raw.minSessions ?? DEFAULT_SCORING.minSessions;
+  if (!(Number.isFinite(minSessions) && minSessions >= 0)) throw new Error("Scoring minSessions must be a number >= 0");
+
+  const components = {};
+  for (const [name, c] of Object.entries(DEFAULT_SCORING.components)) components[name] = { ...c };
+  for (const [name, c] of Object.entries(raw.components || {})) {
+    const base = components[name];
+    if (!base) throw new Error(`Unknown scoring component: ${name} (use ${Object.keys(components).join(", ")})`);
+    const merged = { ...base, ...c, direction: base.direction };
+    if (!(Number.isFinite(merged.weight) && merged.weight >= 0)) throw new Error(`Scoring ${name}: weight must be a number >= 0`);
+    if (!(Number.isFinite(merged.cap) && merged.cap > 0)) throw new Error(`Scoring ${name}: cap must be a positive number`);
+    components[name] = merged;
+  }
+  if (!Object.values(components).some((c) => c.weight > 0)) throw new Error("Scoring needs at least one component with weight > 0");
+
+  return { minSessions, components };
+}
+
+function componentValue(out, name) {
+  if (out.rates && name in out.rates) return out.rates[name];
+  return Number(out[name]) || 0;
+}
+
+/**
+ * { uxScore, lowConfidence, scoreComponents } for an aggregated output (needs opts.rates).
+ * scoreComponents: { [name]: { value, subscore, weight, points } }, points being the component's
+ * share of uxScore. uxScore is null without sessions.
+ */
+function scoreOutput(out, scoring = loadScoring()) {
+  const sessions = out.totalSessionCount || 0;
+  const totalWeight = Object.values(scoring.components).reduce((s, c) => s + c.weight, 0);
+  const scoreComponents = {};
+  let total = 0;
+
+  for (const [name, c] of Object.entries(scoring.components)) {
+    if (!c.weight) continue;
+    const value = componentValue(out, name);
+    const ratio = Math.min(Math.max(value, 0), c.cap) / c.cap;
+    const subscore = c.direction === "lower" ? 1 - ratio : ratio;
+    const points = (subscore * c.weight * 100) / totalWeight;
+    total += points;
+    scoreComponents[name] = { value, subscore: round2(subscore), weight: c.weight, points: round2(points) };
+  }
+
+  return {
+    uxScore: sessions > 0 ? round2(total) : null,
+    lowConfidence: sessions < scoring.minSessions,
+    scoreComponents
+  };
+}
+
+module.exports = { DEFAULT_SCORING, loadScoring, scoreOutput };
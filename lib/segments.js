@@ -0,0 +1,217 @@
+const { readJsonSync } = require("./jsonFile");
+const { registerIndexedFilter, getUrlIndex } = require("./exportIndex");
+const { isPaidSearchRow, isGoogleCpcRow, aggregateManyFromExport } = require("./aggregate");
+
+// Named traffic segments. A segment is an ordered list of steps; each step names the export
+// dimension set to read and a row rule. Steps are tried in order per URL and the first one
+// that matches any rows wins, like the Channel -> Source/Medium fallback for Google Ads.
+//
+// Custom segments (SEGMENTS_FILE / SEGMENTS_JSON), keyed by name:
+//   {
+//     "bing": {
+//       "description": "Microsoft Ads",
+//       "steps": [
+//         { "mode": "source_medium_url_bing_cpc", "dimensions": ["Source", "Medium", "URL"],
+//           "match": { "all": [ { "field": "Source", "op": "contains", "value": "bing" },
+//                               { "field": "Medium", "op": "regex", "value": "cpc|ppc" } ] } }
+//       ]
+//     }
+//   }
+// Rules: { field, op: "equals" | "contains" | "regex", value } combined with { all: [] }, { any: [] }, { not: rule }.
+// Matching is case-insensitive on trimmed values.
+
+const RULE_FIELDS = ["Channel", "Source", "Medium", "Campaign"];
+const RULE_OPS = ["equals", "contains", "regex"];
+
+function fieldsOfRule(rule, out = new Set()) {
+  if (rule.all) rule.all.forEach((r) => fieldsOfRule(r, out));
+  else if (rule.any) rule.any.forEach((r) => fieldsOfRule(r, out));
+  else if (rule.not) fieldsOfRule(rule.not, out);
+  else out.add(rule.field);
+  return out;
+}
+
+// Compile a rule tree into a row predicate. Throws with the offending path on bad input.
+function compileRule(rule, where = "match") {
+  if (!rule || typeof rule !== "object") throw new Error(`${where}: rule must be an object`);
+
+  if (Array.isArray(rule.all) || Array.isArray(rule.any)) {
+    const key = rule.all ? "all" : "any";
+    const fns = rule[key].map((r, i) => compileRule(r, `${where}.${key}[${i}]`));
+    return key === "all" ? (row) => fns.every((fn) => fn(row)) : (row) => fns.some((fn) => fn(row));
+  }
+  if (rule.not) {
+    const fn = compileRule(rule.not, `${where}.not`);
+    return (row) => !fn(row);
+  }
+
+  const { field, op = "equals", value } = rule;
+  if (!RULE_FIELDS.includes(field)) throw new Error(`${where}: field must be one of ${RULE_FIELDS.join(", ")}`);
+  if (!RULE_OPS.includes(op)) throw new Error(`${where}: op must be one of ${RULE_OPS.join(", ")}`);
+  if (value === undefined || value === null || value === "") throw new Error(`${where}: value is required`);
+
+  const read = (row) => String(row?.[field] || "").toLowerCase().trim();
+  if (op === "equals") {
+    const v = String(value).toLowerCase().trim();
+    return (row) => read(row) === v;
+  }
+  if (op === "contains") {
+    const v = String(value).toLowerCase().trim();
+    return (row) => { const s = read(row); return !!s && s.includes(v); };
+  }
+  let re;
+  try { re = new RegExp(String(value), "i"); } catch (e) { throw new Error(`${where}: invalid regex: ${e.message}`); }
+  return (row) => re.test(read(row));
+}
+
+// Add the step's complement filter ("everything this step doesn't match"), registered for indexing too
+function withExclude(step) {
+  const include = step.filter;
+  return { ...step, exclude: registerIndexedFilter((row) => !include(row)) };
+}
+
+function compileSegment(name, def) {
+  if (!def || !Array.isArray(def.steps) || !def.steps.length) throw new Error(`Segment ${name}: steps must be a non-empty array`);
+
+  const steps = def.steps.map((step, i) => {
+    const where = `Segment ${name} steps[${i}]`;
+    const dimensions = Array.isArray(step.dimensions) ? step.dimensions.map(String) : [];
+    if (!dimensions.includes("URL") || dimensions.length > 3) throw new Error(`${where}: dimensions must include URL and have at most 3 entries`);
+
+    const missing = [...fieldsOfRule(step.match || {})].filter((f) => f && !dimensions.includes(f));
+    if (missing.length) throw new Error(`${where}: rule uses ${missing.join(", ")} which is not in dimensions`);
+
+    return withExclude({
+      mode: step.mode || `${dimensions.join("_").toLowerCase()}_${name}`,
+      dimensions,
+      match: step.match,
+      filter: registerIndexedFilter(compileRule(step.match, `${where}.match`))
+    });
+  });
+
+  return { name, description: def.description || "", builtIn: false, steps };
+}
+
+const PAID_MEDIUM = { field: "Medium", op: "regex", value: "cpc|ppc|paid" };
+
+// Built-ins. googleads keeps the original hand-written filters so /metrics-googleads is unchanged.
+function builtInSegments() {
+  const segments = new Map();
+  segments.set("googleads", {
+    name: "googleads",
+    description: "Google Ads: Channel paid search, falling back to Source google + Medium cpc/ppc",
+    builtIn: true,
+    steps: [
+      withExclude({ mode: "channel_url_paid_search", dimensions: ["Channel", "URL"], match: null, filter: isPaidSearchRow }),
+      withExclude({ mode: "source_medium_url_google_cpc", dimensions: ["Source", "Medium", "URL"], match: null, filter: isGoogleCpcRow })
+    ]
+  });
+
+  const defs = {
+    microsoftads: {
+      description: "Microsoft Ads: Source bing/microsoft + paid Medium",
+      steps: [{
+        mode: "source_medium_url_microsoft_cpc",
+        dimensions: ["Source", "Medium", "URL"],
+        match: { all: [{ field: "Source", op: "regex", value: "bing|microsoft|msn" }, PAID_MEDIUM] }
+      }]
+    },
+    meta: {
+      description: "Meta Ads: Source facebook/instagram/meta + paid Medium",
+      steps: [{
+        mode: "source_medium_url_meta_paid",
+        dimensions: ["Source", "Medium", "URL"],
+        match: { all: [{ field: "Source", op: "regex", value: "facebook|instagram|meta|^fb$|^ig$" }, PAID_MEDIUM] }
+      }]
+    },
+    tiktok: {
+      description: "TikTok Ads: Source tiktok + paid Medium",
+      steps: [{
+        mode: "source_medium_url_tiktok_paid",
+        dimensions: ["Source", "Medium", "URL"],
+        match: { all: [{ field: "Source", op: "contains", value: "tiktok" }, PAID_MEDIUM] }
+      }]
+    },
+    organic: {
+      description: "Organic search: Channel organic, falling back to Medium organic",
+      steps: [
+        { mode: "channel_url_organic", dimensions: ["Channel", "URL"], match: { field: "Channel", op: "contains", value: "organic" } },
+        { mode: "source_medium_url_organic", dimensions: ["Source", "Medium", "URL"], match: { field: "Medium", op: "equals", value: "organic" } }
+      ]
+    }
+  };
+  for (const [name, def] of Object.entries(defs)) segments.set(name, { ...compileSegment(name, def), builtIn: true });
+
+  return segments;
+}
+
+/**
+ * Built-in segments plus custom ones from a file or JSON string (custom definitions win on name clash).
+ * Returns Map<name, { name, description, builtIn, steps: [{ mode, dimensions, match, filter, exclude }] }>.
+ */
+function loadSegments({ file, json } = {}) {
+  const segments = builtInSegments();
+
+  let raw = null;
+  if (json) raw = JSON.parse(json);
+  else if (file) raw = readJsonSync(file, null);
+
+  for (const [name, def] of Object.entries(raw || {})) {
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(name)) throw new Error(`Invalid segment name: ${JSON.stringify(name)}`);
+    segments.set(name, compileSegment(name, def));
+  }
+  return segments;
+}
+
+// Public view of a segment (no compiled functions)
+function describeSegment(seg) {
+  return {
+    name: seg.name,
+    description: seg.description,
+    builtIn: seg.builtIn,
+    steps: seg.steps.map(({ mode, dimensions, match }) => ({ mode, dimensions, match }))
+  };
+}
+
+// Segment metrics for many URLs, with exports supplied by exportFor(dimensions) (may be async; null or
+// undefined = not available). Steps are tried in order, and later steps only run for the URLs where
+// earlier ones matched nothing (e.g. Channel+URL, then Source+Medium+URL). Each result carries the
+// mode of the step that produced it; URLs nothing matched get the last step's. URLs still pending
+// when a step's export isn't available get null.
+async function segmentMetricsFromExports(segment, targetUrls, exportFor, opts) {
+  const results = new Array(targetUrls.length);
+  let pending = targetUrls.map((_, i) => i);
+
+  for (const [stepIndex, step] of segment.steps.entries()) {
+    const exportJson = await exportFor(step.dimensions);
+    if (exportJson === null || exportJson === undefined) {
+      for (const i of pending) results[i] = null;
+      break;
+    }
+    const stepResults = aggregateManyFromExport(exportJson, pending.map((i) => targetUrls[i]), step.filter, opts);
+
+    const isLast = stepIndex === segment.steps.length - 1;
+    const stillMissing = [];
+    pending.forEach((i, j) => {
+      const r = stepResults[j];
+      if (isLast || r.totalSessionCount > 0 || r.matchedRows > 0) results[i] = { mode: step.mode, ...r };
+      else stillMissing.push(i);
+    });
+    pending = stillMissing;
+    if (!pending.length) break;
+  }
+  return results;
+}
+
+// Every distinct normalized URL with rows in any of the segment's steps
+async function segmentUrlKeys(segment, exportFor) {
+  const urls = new Set();
+  for (const step of segment.steps) {
+    const stepExport = await exportFor(step.dimensions);
+    if (!Array.isArray(stepExport)) continue;
+    for (const key of getUrlIndex(stepExport, step.filter).keys()) if (key) urls.add(key);
+  }
+  return urls;
+}
+
+module.exports = { loadSegments, compileRule, describeSegment, segmentMetricsFromExports, segmentUrlKeys };
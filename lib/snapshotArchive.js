@@ -0,0 +1,105 @@
+const fs = require("fs");
+const path = require("path");
+const { writeJsonAtomic } = require("./jsonFile");
+
+// Dated snapshots of every fetched export, so history outlives Clarity's 3-day window.
+// Layout: <dir>/<YYYY-MM-DD>/<days>d__<Dim1+Dim2+Dim3>.json, one file per (date, days, dimension set);
+// a later fetch on the same day replaces the earlier one.
+// A snapshot dated D with numOfDays N is taken to cover the N days ending on D.
+// With retentionDays, dates older than that are removed (checked once per day, on save).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isoDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function addDays(date, n) {
+  return isoDate(Date.parse(`${date}T00:00:00Z`) + n * DAY_MS);
+}
+
+function dimsKey(dimensions) {
+  return dimensions.map((d) => String(d).replace(/[^A-Za-z0-9]/g, "")).join("+");
+}
+
+function createSnapshotArchive({ dir, retentionDays = null }) {
+  let prunedOn = null;
+
+  async function save({ payload, fetchedAt = Date.now(), days, dimensions }) {
+    const date = isoDate(fetchedAt);
+    const file = path.join(dir, date, `${days}d__${dimsKey(dimensions)}.json`);
+    await writeJsonAtomic(file, { date, days, dimensions, fetchedAt, payload });
+    if (retentionDays && prunedOn !== date) {
+      prunedOn = date;
+      await prune(addDays(date, -(retentionDays - 1)));
+    }
+    return file;
+  }
+
+  // Remove every date before `before` (YYYY-MM-DD); returns the removed dates
+  async function prune(before) {
+    const dates = (await fs.promises.readdir(dir)).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && d < before);
+    for (const d of dates) await fs.promises.rm(path.join(dir, d), { recursive: true, force: true });
+    return dates;
+  }
+
+  // Snapshot descriptors (no payload) for a dimension set with dates in [from, to]
+  async function list({ dimensions, from, to }) {
+    const wanted = dimsKey(dimensions);
+    let dates;
+    try {
+      dates = await fs.promises.readdir(dir);
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+
+    const out = [];
+    for (const date of dates.filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && d >= from && d <= to).sort()) {
+      for (const name of await fs.promises.readdir(path.join(dir, date))) {
+        const m = /^(\d+)d__(.+)\.json$/.exec(name);
+        if (!m || m[2] !== wanted) continue;
+        out.push({ date, days: Number(m[1]), file: path.join(dir, date, name) });
+      }
+    }
+    return out;
+  }
+
+  async function load(snapshot) {
+    return JSON.parse(await fs.promises.readFile(snapshot.file, "utf8"));
+  }
+
+  return { dir, save, list, load, prune };
+}
+
+/**
+ * Pick snapshots whose day windows don't overlap, so no day is counted twice.
+ * 1-day snapshots win, then shorter windows, then the most recent date;
+ * a window is skipped if any of its days is already covered or falls outside [from, to].
+ * Returns { picked: [{ ...snapshot, windowStart }], missingDates }.
+ */
+function selectNonOverlapping(snapshots, { from, to }) {
+  const ordered = snapshots.slice().sort((a, b) => a.days - b.days || b.date.localeCompare(a.date));
+  const covered = new Set();
+  const picked = [];
+
+  for (const s of ordered) {
+    const windowStart = addDays(s.date, -(s.days - 1));
+    if (windowStart < from || s.date > to) continue;
+
+    const windowDates = [];
+    for (let i = 0; i < s.days; i++) windowDates.push(addDays(windowStart, i));
+    if (windowDates.some((d) => covered.has(d))) continue;
+
+    windowDates.forEach((d) => covered.add(d));
+    picked.push({ ...s, windowStart });
+  }
+
+  const missingDates = [];
+  for (let d = from; d <= to; d = addDays(d, 1)) if (!covered.has(d)) missingDates.push(d);
+
+  picked.sort((a, b) => a.date.localeCompare(b.date));
+  return { picked, missingDates };
+}
+
+module.exports = { createSnapshotArchive, selectNonOverlapping, isoDate, addDays, dimsKey };
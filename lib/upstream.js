@@ -0,0 +1,56 @@
+// Upstream HTTP calls with a per-attempt timeout and bounded retries.
+// Retried: network errors, timeouts and 5xx. Never retried: 4xx (incl. Clarity's own 429),
+// since those won't change by asking again and every attempt spends a quota unit.
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isRetryableStatus(status) {
+  return status >= 500;
+}
+
+/**
+ * GET JSON from url. onAttempt(status, { durationMs, bytes }) is called once per upstream attempt
+ * with the HTTP status or "network_error" / "timeout" (used for quota accounting and metrics).
+ * canRetry() is asked before every retry (e.g. whether quota budget is left); false stops retrying.
+ * Rejects with an Error carrying upstreamStatus (HTTP status) and attempts.
+ */
+async function fetchJsonWithRetry(url, { headers = {}, timeoutMs = 30000, retries = 2, backoffMs = 500, onAttempt = () => {}, canRetry = () => true } = {}) {
+  let lastError;
+  let attempt = 0;
+  while (attempt <= retries) {
+    if (attempt > 0) {
+      if (!canRetry()) break;
+      await sleep(backoffMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5));
+    }
+    attempt++;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const startedAt = Date.now();
+    let resp;
+    let body;
+    try {
+      resp = await fetch(url, { method: "GET", headers, signal: controller.signal });
+      body = await resp.text();
+    } catch (e) {
+      const timedOut = controller.signal.aborted;
+      onAttempt(timedOut ? "timeout" : "network_error", { durationMs: Date.now() - startedAt, bytes: 0 });
+      lastError = timedOut ? new Error(`Clarity API timed out after ${timeoutMs}ms`) : e;
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+    onAttempt(resp.status, { durationMs: Date.now() - startedAt, bytes: Buffer.byteLength(body) });
+
+    if (resp.ok) return JSON.parse(body);
+    lastError = new Error(`Clarity API error ${resp.status}: ${body.slice(0, 300)}`);
+    lastError.upstreamStatus = resp.status;
+    if (!isRetryableStatus(resp.status)) break;
+  }
+  lastError.attempts = attempt;
+  throw lastError;
+}
+
+module.exports = { fetchJsonWithRetry, isRetryableStatus };
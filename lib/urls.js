@@ -0,0 +1,173 @@
+const vm = require("vm");
+
+// Normalize URL for matching: strip www, keep origin+decoded path, drop query/hash, strip trailing slash.
+// keepParams whitelists query parameters to keep (sorted, so parameter order doesn't matter).
+function normalizeUrlForMatch(input, { keepParams = [] } = {}) {
+  if (!input) return "";
+  const s = String(input).trim();
+  if (!s) return "";
+  try {
+    const u = new URL(s);
+    let host = (u.hostname || "").toLowerCase();
+    if (host.startsWith("www.")) host = host.slice(4);
+
+    let path = u.pathname || "/";
+    try { path = decodeURI(path); } catch (_) {}
+    if (path.length > 1 && path.endsWith("/")) path = path.slice(0, -1);
+
+    if (keepParams.length) {
+      const kept = [];
+      for (const name of keepParams) for (const v of u.searchParams.getAll(name)) kept.push([name, v]);
+      if (kept.length) {
+        kept.sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+        return `https://${host}${path}?${new URLSearchParams(kept)}`;
+      }
+    }
+
+    return `https://${host}${path}`;
+  } catch {
+    return s.split("?")[0].split("#")[0].replace(/\/$/, "");
+  }
+}
+
+// Your schema uses "Url" field name
+function rowUrl(r) {
+  return r?.Url || r?.URL || r?.url || "";
+}
+
+const MATCH_MODES = ["exact", "prefix", "glob", "regex"];
+const MAX_PATTERN_LENGTH = 500;
+const MAX_VARIABLE_REPEATS = 3;
+const MAX_REPEAT_SPAN_PRODUCT = 10000;
+const REGEX_TIME_BUDGET_MS = 250;
+
+// Regexes run on V8's backtracking engine, synchronously, against every distinct URL, so patterns
+// that can backtrack catastrophically are refused up front. Returns why a pattern is unsafe, or null:
+//   - a repeated group (*, +, {n,m}; a plain ? is fine) that itself holds a quantifier or an
+//     alternation, e.g. (a+)+ or (a|ab)*
+//   - backreferences
+//   - more than MAX_VARIABLE_REPEATS variable-length repeats (*, +, {n,}, {n,m}), each of which
+//     multiplies the work
+//   - bounded repeats whose spans (m - n of each {n,m}) multiply past MAX_REPEAT_SPAN_PRODUCT,
+//     e.g. .{0,60}.{0,60}.{0,60}
+// Matching also runs under a time budget (see matchKeys) for whatever these checks let through.
+function unsafeRegexReason(src) {
+  const groups = [{ risky: false }]; // risky: holds a quantifier or an alternation
+  let variable = 0;
+  let spanProduct = 1;
+  let closed = null; // group that ended right before the current token
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    const before = closed;
+    closed = null;
+
+    if (c === "\\") {
+      const next = src[i + 1] || "";
+      if (/[1-9]/.test(next) || next === "k") return "backreferences are not allowed";
+      i++;
+    } else if (c === "[") {
+      for (i++; i < src.length && src[i] !== "]"; i++) if (src[i] === "\\") i++;
+    } else if (c === "(") {
+      groups.push({ risky: false });
+      if (src[i + 1] === "?") i += src[i + 2] === "<" && /[=!]/.test(src[i + 3] || "") ? 3 : 2;
+    } else if (c === ")" && groups.length > 1) {
+      closed = groups.pop();
+      if (closed.risky) groups[groups.length - 1].risky = true;
+    } else if (c === "|") {
+      groups[groups.length - 1].risky = true;
+    } else {
+      const token = /^(?:[*+?]|\{\d+(?:,\d*)?\})/.exec(src.slice(i))?.[0];
+      if (!token) continue;
+      i += token.length - 1;
+      if (src[i + 1] === "?") i++; // lazy
+      const [, min, max] = /^\{(\d+)(?:,(\d*))?\}$/.exec(token) || [];
+      if (token === "*" || token === "+" || max === "") variable++;
+      else if (max !== undefined && Number(max) > Number(min)) {
+        variable++;
+        spanProduct *= Number(max) - Number(min) + 1;
+      }
+      const repeats = !["?", "{0}", "{1}", "{0,1}"].includes(token);
+      if (before && before.risky && repeats) return "a repeated group may not hold quantifiers or alternations";
+      groups[groups.length - 1].risky = true;
+    }
+  }
+  if (variable > MAX_VARIABLE_REPEATS) return `at most ${MAX_VARIABLE_REPEATS} variable-length repeats (*, +, {n,}, {n,m}) are allowed`;
+  if (spanProduct > MAX_REPEAT_SPAN_PRODUCT) return "bounded repeats {n,m} allow too many combinations";
+  return null;
+}
+
+// User regexes run inside a vm context, whose timeout can interrupt a regex mid-match, so a slow
+// pattern fails the request (400) instead of blocking the event loop
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script("regexes.map((re) => keys.filter((key) => re.test(key)))");
+
+function runRegexes(regexes, keys) {
+  Object.assign(regexContext, { regexes, keys });
+  try {
+    return regexScript.runInContext(regexContext, { timeout: REGEX_TIME_BUDGET_MS });
+  } catch (e) {
+    if (e.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw e;
+    const err = new Error(`Regex matching took longer than ${REGEX_TIME_BUDGET_MS}ms; use a simpler pattern`);
+    err.status = 400;
+    throw err;
+  } finally {
+    regexContext.regexes = regexContext.keys = null;
+  }
+}
+
+// One Set per matcher of the keys it matches. Each key is tested once per matcher; the regex
+// matchers share one REGEX_TIME_BUDGET_MS budget.
+function matchKeys(matchers, keys) {
+  const list = [...keys];
+  const regexes = matchers.filter((m) => m.regex).map((m) => m.regex);
+  const regexMatches = regexes.length ? runRegexes(regexes, list) : [];
+  let next = 0;
+  return matchers.map((m) => new Set(m.regex ? regexMatches[next++] : list.filter((key) => m.test(key))));
+}
+
+// Glob over normalized URLs: ** matches anything, * matches within one path segment
+function globToRegExp(glob) {
+  const src = glob
+    .split("**")
+    .map((part) => part.split("*").map((s) => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${src}$`);
+}
+
+/**
+ * Compile a URL pattern into a matcher over normalized URLs (as produced by normalizeUrlForMatch
+ * with the same keepParams):
+ * - exact:  equality after normalization (the original behavior)
+ * - prefix: the URL itself or anything below it by path segment ("/products" matches "/products/x")
+ * - glob:   * within a path segment, ** across segments ("https://site.com/products/*")
+ * - regex:  JavaScript regex tested against the normalized URL (see unsafeRegexReason for what is refused)
+ * Returns { mode, normalized, test(key) } (plus `regex` in regex mode). Throws on an unknown mode or
+ * invalid pattern. Prefer matchKeys to test many keys.
+ */
+function compileUrlMatcher(pattern, mode = "exact", { keepParams = [] } = {}) {
+  const raw = String(pattern || "").trim();
+  if (!MATCH_MODES.includes(mode)) throw new Error(`match must be one of ${MATCH_MODES.join(", ")}`);
+  if (raw.length > MAX_PATTERN_LENGTH) throw new Error(`Pattern too long (max ${MAX_PATTERN_LENGTH})`);
+
+  if (mode === "regex") {
+    let re;
+    try { re = new RegExp(raw); } catch (e) { throw new Error(`Invalid regex: ${e.message}`); }
+    const unsafe = unsafeRegexReason(raw);
+    if (unsafe) throw new Error(`Unsafe regex: ${unsafe}`);
+    return { mode, normalized: raw, regex: re, test: (key) => runRegexes([re], [key])[0].length > 0 };
+  }
+
+  const normalized = normalizeUrlForMatch(raw, { keepParams });
+  if (mode === "exact") return { mode, normalized, test: (key) => !!normalized && key === normalized };
+
+  if (mode === "prefix") {
+    const below = normalized.endsWith("/") ? normalized : `${normalized}/`;
+    return { mode, normalized, test: (key) => !!normalized && (key === normalized || key.startsWith(below) || key.startsWith(`${normalized}?`)) };
+  }
+
+  const re = globToRegExp(normalized);
+  return { mode, normalized, test: (key) => re.test(key) };
+}
+
+module.exports = { normalizeUrlForMatch, rowUrl, compileUrlMatcher, matchKeys, MATCH_MODES };
@@ -0,0 +1,62 @@
+// Benchmark: indexed vs linear aggregation on a synthetic large Channel+URL export.
+// Usage: node scripts/bench-url-index.js [urlCount=5000] [lookups=500]
+
+const { aggregateManyFromExport, isPaidSearchRow } = require("../lib/aggregate");
+const { getUrlIndex } = require("../lib/exportIndex");
+
+const URL_COUNT = parseInt(process.argv[2], 10) || 5000;
+const LOOKUPS = parseInt(process.argv[3], 10) || 500;
+
+const CHANNELS = ["Paid search", "Organic search", "Direct", "Referral"];
+const BLOCKS = [
+  "Traffic", "EngagementTime", "ScrollDepth", "RageClickCount", "DeadClickCount",
+  "ExcessiveScroll", "QuickbackClick", "ScriptErrorCount", "ErrorClickCount"
+];
+
+function syntheticRow(metricName, i) {
+  if (metricName === "Traffic") {
+    return { totalSessionCount: String(50 + (i % 200)), totalBotSessionCount: "1", distinctUserCount: "40", pagesPerSessionPercentage: 1.4 };
+  }
+  if (metricName === "EngagementTime") return { totalTime: String(3000 + i), activeTime: String(1200 + i) };
+  if (metricName === "ScrollDepth") return { averageScrollDepth: 30 + (i % 60) };
+  return { sessionsCount: String(50 + (i % 200)), sessionsWithMetricPercentage: i % 20, sessionsWithoutMetricPercentage: 100 - (i % 20), pagesViews: "90", subTotal: "3" };
+}
+
+function syntheticExport(urlCount) {
+  return BLOCKS.map((metricName) => {
+    const information = [];
+    for (let i = 0; i < urlCount; i++) {
+      for (const Channel of CHANNELS) {
+        information.push({ ...syntheticRow(metricName, i), Channel, Url: `https://www.example.com/landing/${i}/?gclid=x${i}` });
+      }
+    }
+    return { metricName, information };
+  });
+}
+
+function time(label, fn) {
+  const t0 = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  console.log(`${label.padEnd(28)} ${ms.toFixed(1).padStart(10)} ms`);
+  return { result, ms };
+}
+
+const exportJson = syntheticExport(URL_COUNT);
+const rowCount = exportJson.reduce((n, b) => n + b.information.length, 0);
+const targets = Array.from({ length: LOOKUPS }, (_, i) => `https://example.com/landing/${(i * 7919) % URL_COUNT}`);
+
+console.log(`Export: ${BLOCKS.length} blocks, ${rowCount} rows; ${LOOKUPS} single-URL lookups (paid search filter)\n`);
+
+const linear = time("linear (per lookup)", () =>
+  targets.map((u) => aggregateManyFromExport(exportJson, [u], isPaidSearchRow, { useIndex: false })[0])
+);
+const build = time("index build (once)", () => getUrlIndex(exportJson, isPaidSearchRow));
+const indexed = time("indexed (per lookup)", () =>
+  targets.map((u) => aggregateManyFromExport(exportJson, [u], isPaidSearchRow)[0])
+);
+
+const same = linear.result.every((r, i) => JSON.stringify(r) === JSON.stringify(indexed.result[i]));
+console.log(`\nResults identical: ${same}`);
+console.log(`Speedup incl. build: ${(linear.ms / (build.ms + indexed.ms)).toFixed(1)}x`);
+if (!same) process.exitCode = 1;
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+// Offline aggregation of saved Clarity exports (archive snapshots, fixtures or raw response bodies),
+// with the same segment, matching and output options as the HTTP routes. Spends no quota.
+// Usage: clarity-proxy [options] <export.json>...   (see --help)
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const {
+  aggregateManyFromExport,
+  getUrlIndex,
+  loadSegments,
+  segmentMetricsFromExports,
+  segmentUrlKeys,
+  matchOptions,
+  scoreRequested,
+  loadScoring,
+  scoreOutput,
+  FORMATS,
+  formatRows,
+  dimensionSetKey,
+  readExportFile,
+  combineExports
+} = require("../lib");
+
+const USAGE = `Usage: clarity-proxy [options] <export.json>...
+
+Aggregates saved Clarity exports (archive snapshots, CLARITY_MODE=record fixtures or raw response
+bodies). Files with the same dimensions are added up. Pick URLs with --url, --urls or --all.
+
+  --url <url>            URL to report (repeatable)
+  --urls <file>          file with one URL per line (blank lines and # comments ignored)
+  --all                  every URL in the exports, busiest first
+  --segment <name>       all (default: the URL export), googleads, microsoftads, meta, tiktok,
+                         organic or a custom segment; steps whose export wasn't given are skipped
+  --segments <file>      custom segment definitions (same format as SEGMENTS_FILE)
+  --match <mode>         exact (default), prefix, glob or regex
+  --keep-params <list>   comma-separated query parameters kept when matching
+  --v <1|2>              aggregation version (2: session-weighted)
+  --include unknown      sum numeric fields of unrecognized metric blocks
+  --score <0|1>          add uxScore and its components
+  --scoring <file>       score weights and caps (same format as SCORING_FILE)
+  --format <format>      ${FORMATS.join(", ")} (default json)
+  -h, --help             show this help`;
+
+function fail(message, usage = false) {
+  console.error(`clarity-proxy: ${message}`);
+  if (usage) console.error(`\n${USAGE}`);
+  process.exit(1);
+}
+
+function readUrlList(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    fail(`${file}: ${e.code === "ENOENT" ? "not found" : e.message}`);
+  }
+  return text.split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !l.startsWith("#"));
+}
+
+// The segment with only the steps whose export was given (stderr notes the skipped ones)
+function availableSegment(segment, exports) {
+  const steps = segment.steps.filter((step) => {
+    if (exports.has(dimensionSetKey(step.dimensions))) return true;
+    console.error(`clarity-proxy: ${segment.name}: no ${step.dimensions.join("+")} export given, skipping ${step.mode}`);
+    return false;
+  });
+  if (!steps.length) {
+    fail(`segment ${segment.name} needs one of: ${segment.steps.map((s) => `${s.dimensions.join("+")} export`).join(", ")}`);
+  }
+  return { ...segment, steps };
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        url: { type: "string", multiple: true },
+        urls: { type: "string" },
+        all: { type: "boolean" },
+        segment: { type: "string", default: "all" },
+        segments: { type: "string" },
+        match: { type: "string" },
+        "keep-params": { type: "string" },
+        v: { type: "string" },
+        include: { type: "string" },
+        score: { type: "string" },
+        scoring: { type: "string" },
+        format: { type: "string", default: "json" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (e) {
+    fail(e.message, true);
+  }
+  const { values: opts, positionals: files } = args;
+  if (opts.help) return console.log(USAGE);
+
+  if (!files.length) fail("no export files given", true);
+  const format = opts.format.toLowerCase();
+  if (!FORMATS.includes(format)) fail(`format must be one of ${FORMATS.join(", ")}`);
+
+  // Repeated URLs would collapse into one results key, so each is reported once
+  const urls = [...new Set([...(opts.url || []), ...(opts.urls ? readUrlList(opts.urls) : [])])];
+  if (opts.all && urls.length) fail("use either --all or --url / --urls", true);
+  if (!opts.all && !urls.length) fail("no URLs given (use --url, --urls or --all)", true);
+
+  let matchOpts, score, scoring, segments;
+  try {
+    matchOpts = matchOptions({ match: opts.match, keepParams: opts["keep-params"], v: opts.v, include: opts.include }, urls);
+    score = scoreRequested({ score: opts.score });
+    scoring = score ? loadScoring({ file: opts.scoring }) : null;
+    segments = loadSegments({ file: opts.segments });
+  } catch (e) {
+    fail(e.message);
+  }
+  if (opts.segment !== "all" && !segments.has(opts.segment)) {
+    fail(`unknown segment ${opts.segment} (use all, ${[...segments.keys()].join(", ")})`);
+  }
+
+  let exports;
+  try {
+    exports = combineExports(files.map(readExportFile));
+  } catch (e) {
+    fail(e.message);
+  }
+  const exportFor = (dimensions) => exports.get(dimensionSetKey(dimensions))?.payload ?? null;
+  const aggOpts = score ? { ...matchOpts, rates: true } : matchOpts;
+
+  let targets, results;
+  if (opts.segment === "all") {
+    const urlExport = exportFor(["URL"]);
+    if (!urlExport) fail("segment all needs a URL export");
+    targets = opts.all ? [...getUrlIndex(urlExport, null).keys()].filter(Boolean) : urls;
+    results = aggregateManyFromExport(urlExport, targets, null, aggOpts);
+  } else {
+    const segment = availableSegment(segments.get(opts.segment), exports);
+    targets = opts.all ? [...(await segmentUrlKeys(segment, exportFor))] : urls;
+    results = await segmentMetricsFromExports(segment, targets, exportFor, aggOpts);
+  }
+  if (score) results = results.map((r) => (r ? { ...r, ...scoreOutput(r, scoring) } : r));
+
+  let rows = targets.map((key, i) => ({ key, ...results[i] }));
+  if (opts.all) rows.sort((a, b) => b.totalSessionCount - a.totalSessionCount || a.key.localeCompare(b.key));
+
+  // One URL prints like GET /metrics, several like the batch routes
+  const single = !opts.all && targets.length === 1;
+  if (single) rows = [results[0]];
+  if (format !== "json") return process.stdout.write(formatRows(rows, format));
+
+  const body = single
+    ? results[0]
+    : {
+        segment: opts.segment,
+        files: [...exports.values()].flatMap((e) => e.files),
+        count: rows.length,
+        results: Object.fromEntries(rows.map(({ key, ...r }) => [key, r]))
+      };
+  process.stdout.write(JSON.stringify(body, null, 2) + "\n");
+}
+
+main().catch((e) => fail(e.stack || e.message));
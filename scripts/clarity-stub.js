@@ -0,0 +1,216 @@
+// Local stand-in for the Clarity Export API: deterministic synthetic exports with every metric
+// block the proxy reads and consistent Channel/Source/Medium/Campaign rows. Every dimension set is
+// built from the same per-page cells, so its rows add up to the URL-only export.
+// Usage: node scripts/clarity-stub.js
+//   then run the proxy with CLARITY_EXPORT_URL=http://localhost:4010/export-data/api/v1/project-live-insights
+// Env: STUB_PORT (4010), STUB_URLS (20 pages), STUB_DAILY_LIMIT (10 calls per token per 24h, 0 = unlimited),
+//      STUB_FAIL_RATE (0..1, share of requests answered with 503).
+
+const http = require("http");
+
+const PORT = parseInt(process.env.STUB_PORT, 10) || 4010;
+const URL_COUNT = Math.max(1, parseInt(process.env.STUB_URLS, 10) || 20);
+const DAILY_LIMIT = Math.max(0, parseInt(process.env.STUB_DAILY_LIMIT ?? "10", 10) || 0);
+const FAIL_RATE = Math.min(Math.max(Number(process.env.STUB_FAIL_RATE) || 0, 0), 1);
+const EXPORT_PATH = "/export-data/api/v1/project-live-insights";
+
+const BLOCKS = [
+  "Traffic", "EngagementTime", "ScrollDepth", "RageClickCount", "DeadClickCount",
+  "ExcessiveScroll", "QuickbackClick", "ScriptErrorCount", "ErrorClickCount"
+];
+// Blocks counting sessions with a behavior (the rest: Traffic, EngagementTime, ScrollDepth)
+const GROUP_BLOCKS = BLOCKS.slice(3);
+
+// Traffic sources keep Channel, Source, Medium and Campaign consistent within a row
+const SOURCES = [
+  { Channel: "Paid search", Source: "google", Medium: "cpc", Campaign: "brand_search", weight: 5 },
+  { Channel: "Paid search", Source: "bing", Medium: "cpc", Campaign: "generic_search", weight: 2 },
+  { Channel: "Organic search", Source: "google", Medium: "organic", Campaign: "", weight: 6 },
+  { Channel: "Paid social", Source: "facebook", Medium: "paid", Campaign: "spring_sale", weight: 3 },
+  { Channel: "Paid social", Source: "tiktok", Medium: "cpc", Campaign: "ugc_test", weight: 1 },
+  { Channel: "Direct", Source: "(direct)", Medium: "(none)", Campaign: "", weight: 4 },
+  { Channel: "Referral", Source: "news.example.org", Medium: "referral", Campaign: "", weight: 1 },
+  { Channel: "Email", Source: "newsletter", Medium: "email", Campaign: "weekly", weight: 1 }
+];
+const SOURCE_DIMENSIONS = ["Channel", "Source", "Medium", "Campaign"];
+
+const VALUES = {
+  Browser: ["Chrome", "Safari", "Edge", "Firefox"],
+  Device: ["PC", "Mobile", "Tablet"],
+  "Country/Region": ["United States", "Germany", "India", "Brazil"],
+  OS: ["Windows", "iOS", "Android", "MacOSX"]
+};
+
+const PAGES = Array.from({ length: URL_COUNT }, (_, i) => {
+  if (i === 0) return "https://www.example.com/";
+  if (i % 5 === 1) return `https://www.example.com/landing/${i}?gclid=stub${i}&utm_source=google`;
+  if (i % 5 === 2) return `https://www.example.com/products/item-${i}?variant=${i % 3}`;
+  return `https://www.example.com/${["blog", "pricing", "docs"][i % 3]}/page-${i}/`;
+});
+
+const DIMENSIONS = [...SOURCE_DIMENSIONS, ...Object.keys(VALUES), "URL"];
+
+// Small seeded PRNG so the same request always yields the same export
+function rng(seedText) {
+  let h = 2166136261;
+  for (const c of seedText) h = Math.imul(h ^ c.charCodeAt(0), 16777619);
+  return () => {
+    h = Math.imul(h ^ (h >>> 15), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return ((h ^= h >>> 16) >>> 0) / 4294967296;
+  };
+}
+
+// Every (traffic source, Browser, Device, Country/Region, OS) cell of a page, with its share of the
+// page's sessions
+const CELLS = (() => {
+  let cells = SOURCES.map((s) => ({ fields: Object.fromEntries(SOURCE_DIMENSIONS.map((d) => [d, s[d]])), weight: s.weight }));
+  for (const [d, values] of Object.entries(VALUES)) {
+    cells = cells.flatMap((c) => values.map((v, i) => ({ fields: { ...c.fields, [d]: v }, weight: c.weight / (1 + i) })));
+  }
+  const total = cells.reduce((sum, c) => sum + c.weight, 0);
+  return cells.map((c) => ({ fields: c.fields, share: c.weight / total }));
+})();
+
+// Split total into integers proportional to shares (largest remainder), so the parts add up exactly
+function apportion(total, shares) {
+  const exact = shares.map((s) => total * s);
+  const parts = exact.map(Math.floor);
+  let left = total - parts.reduce((sum, n) => sum + n, 0);
+  const byRemainder = exact.map((x, i) => [x - parts[i], i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of byRemainder) {
+    if (left-- <= 0) break;
+    parts[i]++;
+  }
+  return parts;
+}
+
+// Per-cell counts for every page. Every export is a grouping of these atoms, so all dimension
+// sets add up to the same per-URL totals (Channel+URL sessions sum to the URL-only sessions).
+const atomsByDays = new Map();
+
+function atomsFor(days) {
+  if (atomsByDays.has(days)) return atomsByDays.get(days);
+  const atoms = [];
+  PAGES.forEach((page, p) => {
+    const pageRand = rng(`${days}|${page}`);
+    const pageSessions = Math.max(1, Math.round((days * (300 + pageRand() * 900)) / (1 + p * 0.3)));
+    const split = apportion(pageSessions, CELLS.map((c) => c.share));
+    CELLS.forEach((cell, c) => {
+      const sessions = split[c];
+      if (!sessions) return;
+      const rand = rng(`${days}|${page}|${c}`);
+      // Cells hold few sessions, so behaviors are drawn per session rather than rounded per cell
+      const countSessions = (pct) => {
+        let n = 0;
+        for (let i = 0; i < sessions; i++) if (rand() * 100 < pct) n++;
+        return n;
+      };
+      const totalTime = Math.round(sessions * (30 + rand() * 150));
+      const groups = {};
+      for (const g of GROUP_BLOCKS) {
+        const withMetric = countSessions(g === "ScriptErrorCount" ? 12 : 8);
+        groups[g] = {
+          withMetric,
+          pagesViews: Math.round(sessions * (1 + rand())),
+          subTotal: withMetric + Math.round(withMetric * rand())
+        };
+      }
+      atoms.push({
+        fields: { ...cell.fields, Url: page },
+        sessions,
+        bots: countSessions(2.5),
+        users: Math.max(1, Math.round(sessions * (0.7 + rand() * 0.25))),
+        pagesPerSession: 1 + rand() * 2.5,
+        totalTime,
+        activeTime: Math.round(totalTime * (0.3 + rand() * 0.4)),
+        scrollDepth: 20 + rand() * 70,
+        groups
+      });
+    });
+  });
+  atomsByDays.set(days, atoms);
+  return atoms;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function syntheticExport(days, dimensions) {
+  // Group the atoms by the requested dimensions' values
+  const rowFields = dimensions.map((d) => (d === "URL" ? "Url" : d));
+  const combos = new Map();
+  for (const a of atomsFor(days)) {
+    const fields = Object.fromEntries(rowFields.map((f) => [f, a.fields[f]]));
+    const key = JSON.stringify(fields);
+    if (!combos.has(key)) combos.set(key, { fields, atoms: [] });
+    combos.get(key).atoms.push(a);
+  }
+
+  const sum = (atoms, fn) => atoms.reduce((s, a) => s + fn(a), 0);
+  const weighted = (atoms, fn) => round2(sum(atoms, (a) => fn(a) * a.sessions) / sum(atoms, (a) => a.sessions));
+
+  return BLOCKS.map((metricName) => ({
+    metricName,
+    information: [...combos.values()].map(({ fields, atoms }) => {
+      const sessions = sum(atoms, (a) => a.sessions);
+      if (metricName === "Traffic") {
+        return {
+          totalSessionCount: String(sessions),
+          totalBotSessionCount: String(sum(atoms, (a) => a.bots)),
+          distinctUserCount: String(sum(atoms, (a) => a.users)),
+          pagesPerSessionPercentage: weighted(atoms, (a) => a.pagesPerSession),
+          ...fields
+        };
+      }
+      if (metricName === "EngagementTime") {
+        return { totalTime: String(sum(atoms, (a) => a.totalTime)), activeTime: String(sum(atoms, (a) => a.activeTime)), ...fields };
+      }
+      if (metricName === "ScrollDepth") return { averageScrollDepth: weighted(atoms, (a) => a.scrollDepth), ...fields };
+
+      const withMetric = sum(atoms, (a) => a.groups[metricName].withMetric);
+      const pct = round2((withMetric / sessions) * 100);
+      return {
+        sessionsCount: String(sessions),
+        sessionsWithMetricPercentage: pct,
+        sessionsWithoutMetricPercentage: round2(100 - pct),
+        pagesViews: String(sum(atoms, (a) => a.groups[metricName].pagesViews)),
+        subTotal: String(sum(atoms, (a) => a.groups[metricName].subTotal)),
+        ...fields
+      };
+    })
+  }));
+}
+
+const callsByToken = new Map(); // token -> [ms]
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (req.method !== "GET" || url.pathname !== EXPORT_PATH) return send(res, 404, { error: "Not found" });
+
+  const token = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "")?.[1];
+  if (!token) return send(res, 401, { error: "Missing bearer token" });
+
+  const days = parseInt(url.searchParams.get("numOfDays"), 10);
+  if (!(days >= 1 && days <= 3)) return send(res, 400, { error: "numOfDays must be 1, 2 or 3" });
+  const dimensions = ["dimension1", "dimension2", "dimension3"].map((k) => url.searchParams.get(k)).filter(Boolean);
+  const unknown = dimensions.find((d) => !DIMENSIONS.includes(d));
+  if (unknown) return send(res, 400, { error: `Unknown dimension: ${unknown}` });
+
+  const now = Date.now();
+  const calls = (callsByToken.get(token) || []).filter((t) => now - t < 24 * 60 * 60 * 1000);
+  if (DAILY_LIMIT && calls.length >= DAILY_LIMIT) return send(res, 429, { error: "Daily request limit exceeded" });
+  calls.push(now);
+  callsByToken.set(token, calls);
+
+  if (FAIL_RATE && Math.random() < FAIL_RATE) return send(res, 503, { error: "Service unavailable (stub)" });
+
+  console.log(`${new Date(now).toISOString()} ${days}d ${dimensions.join("+") || "(none)"}`);
+  send(res, 200, syntheticExport(days, dimensions));
+});
+
+server.listen(PORT, () => console.log(`Clarity stub on http://localhost:${PORT}${EXPORT_PATH}`));
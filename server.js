@@ -1,246 +1,592 @@
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
 const express = require("express");
+const { createCacheStore } = require("./lib/cacheStore");
+const { createQuotaLedger } = require("./lib/quotaLedger");
+const { warmUrlIndexes, getUrlIndex } = require("./lib/exportIndex");
+const { createSnapshotArchive, selectNonOverlapping, isoDate, addDays } = require("./lib/snapshotArchive");
+const { loadProjectRegistry } = require("./lib/projects");
+const {
+  CLARITY_DIMENSIONS,
+  aggregateManyFromExport,
+  aggregateAllMetricsFromExport,
+  aggregateBreakdownFromExport,
+  rollupOutputs
+} = require("./lib/aggregate");
+const { createAdGroupMap, parseMapping } = require("./lib/adGroupMap");
+const { FORMATS, requestedFormat, sendFormatted } = require("./lib/format");
+const { compareSegments } = require("./lib/compare");
+const { RANK_METRICS, rankOutputs } = require("./lib/report");
+const { createSchemaMonitor, summarizeDiff } = require("./lib/schema");
+const { loadScoring, scoreOutput } = require("./lib/score");
+const { loadAlertRules, createAlertEngine } = require("./lib/alerts");
+const { createScheduler, parseCombos, mergeCombos } = require("./lib/scheduler");
+const { fetchJsonWithRetry } = require("./lib/upstream");
+const { MODES: CLARITY_MODES, createFixtureStore } = require("./lib/fixtures");
+const { SCOPES, sha256, loadApiKeys, createKeyring } = require("./lib/apiKeys");
+const { createRegistry } = require("./lib/prometheus");
+const { loadSegments, describeSegment, segmentMetricsFromExports, segmentUrlKeys } = require("./lib/segments");
+const { aggregationVersion, matchOptions, scoreRequested } = require("./lib/options");
 const app = express();
 
-const { CLARITY_API_TOKEN, SHARED_SECRET, PORT = 3000 } = process.env;
+const {
+  CLARITY_API_TOKEN,
+  SHARED_SECRET,
+  PORT = 3000,
+  DATA_DIR = path.join(__dirname, "data"),
+  CACHE_STORE = "file", // "file" | "memory"
+  CACHE_DIR, // file cache, one file per export (default DATA_DIR/cache)
+  QUOTA_BUDGET = 10, // default upstream calls allowed per project per rolling 24h (Clarity allows ~10/day)
+  ARCHIVE = "on", // "off" disables the snapshot archive
+  ARCHIVE_DAILY_FETCH = "off", // "on" fetches a 1-day URL export per project daily for the archive (1 quota call a day each; not in replay mode)
+  ARCHIVE_RETENTION_DAYS = 400, // snapshot dates kept per project (0 keeps everything)
+  PROJECTS_FILE, // project registry, see lib/projects.js
+  PROJECTS_JSON,
+  DEFAULT_PROJECT, // project used when a request names none
+  SEGMENTS_FILE, // custom traffic segments, see lib/segments.js
+  SEGMENTS_JSON,
+  SCORING_FILE, // UX score weights and caps, see lib/score.js
+  SCORING_JSON,
+  ADGROUPS_FILE, // ad group -> final URL mapping (CSV/JSON) for the default project
+  ALERTS_FILE, // alert rules, see lib/alerts.js
+  ALERTS_JSON,
+  ALERT_WEBHOOK_URL,
+  ALERT_COOLDOWN_MINUTES = 360,
+  SCHEDULER = "off", // "on" keeps SCHEDULER_COMBOS warm, see lib/scheduler.js
+  SCHEDULER_COMBOS, // JSON [{ days, dimensions }], default URL / Channel+URL / Source+Medium+URL
+  SCHEDULER_IDLE_HOURS = 72, // skip combos nobody requested for this long
+  SCHEDULER_RESERVE = 2, // quota calls per 24h the scheduler leaves for manual refreshes
+  CLARITY_TIMEOUT_MS = 30000, // per upstream attempt
+  CLARITY_RETRIES = 2, // extra attempts on 5xx / network errors (each one spends quota)
+  STALE_MAX_HOURS = 72, // serve an expired export this old when upstream fails
+  CLARITY_EXPORT_URL = "https://www.clarity.ms/export-data/api/v1/project-live-insights", // e.g. the local stub, scripts/clarity-stub.js
+  CLARITY_MODE = "live", // "record" also saves every upstream response as a fixture, "replay" serves fixtures only (no network)
+  FIXTURES_DIR,
+  API_KEYS_FILE, // scoped API keys, see lib/apiKeys.js
+  API_KEYS_JSON,
+  CORS_ORIGINS = "" // comma-separated browser origins allowed on top of the keys' own ("*" allows any)
+} = process.env;
+
+if (!CLARITY_MODES.includes(CLARITY_MODE)) throw new Error(`CLARITY_MODE must be one of ${CLARITY_MODES.join(", ")}`);
+const fixtures = createFixtureStore({ dir: FIXTURES_DIR || path.join(DATA_DIR, "fixtures") });
+
+// Operational metrics served at /internal/prometheus. Cache and upstream series are labelled by
+// "family", the export's dimension set (e.g. "Channel+URL"), never by URL.
+const prom = createRegistry();
+const httpRequests = prom.counter("clarity_proxy_http_requests_total", "HTTP requests by route and status", ["method", "route", "status"]);
+const httpDuration = prom.histogram("clarity_proxy_http_request_duration_seconds", "HTTP request duration", ["method", "route"]);
+const cacheEvents = prom.counter("clarity_proxy_cache_events_total", "Export cache lookups by result (hit, miss, coalesced, stale)", ["project", "family", "result"]);
+const upstreamCalls = prom.counter("clarity_proxy_upstream_requests_total", "Clarity Export API attempts by status", ["family", "status"]);
+const upstreamDuration = prom.histogram("clarity_proxy_upstream_duration_seconds", "Clarity Export API attempt latency", ["family"],
+  [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60]);
+const upstreamBytes = prom.histogram("clarity_proxy_upstream_payload_bytes", "Clarity Export API response size", ["family"],
+  [1e4, 1e5, 5e5, 1e6, 5e6, 1e7, 5e7, 1e8]);
+
+// Quota-safe cache: 1 fetch per (days + dimension set) per ~23h.
+// File-backed by default so restarts/redeploys don't re-spend the daily quota. Entries too old to
+// serve as stale (STALE_MAX_HOURS) are dropped as new ones are written.
+const cache = createCacheStore({
+  kind: CACHE_STORE,
+  dir: CACHE_DIR || path.join(DATA_DIR, "cache"),
+  maxAgeMs: Math.max(0, Number(STALE_MAX_HOURS) || 0) * 3600000
+});
+
+const segments = loadSegments({ file: SEGMENTS_FILE, json: SEGMENTS_JSON });
+const scoring = loadScoring({ file: SCORING_FILE, json: SCORING_JSON });
+
+// Alert rules are evaluated after every fresh export; state survives restarts unless the cache is memory-only
+const alerts = createAlertEngine({
+  rules: loadAlertRules({ file: ALERTS_FILE, json: ALERTS_JSON, segmentNames: [...segments.keys()] }),
+  stateFile: CACHE_STORE === "memory" ? null : path.join(DATA_DIR, "alerts-state.json"),
+  webhookUrl: ALERT_WEBHOOK_URL,
+  cooldownMs: Math.max(0, Number(ALERT_COOLDOWN_MINUTES) || 0) * 60000
+});
+
+// Runtime state per project: cache namespace inside the shared store, plus its own
+// quota ledger (forced refreshes are refused once the budget is spent), snapshot archive, ad group
+// mapping and baseline export schemas (fresh payloads that drift from them are flagged on responses).
+// All live under DATA_DIR/projects/<id>/; the ledger and schemas are memory-only with a memory cache.
+function createProjectContext(p) {
+  const dir = path.join(DATA_DIR, "projects", p.id);
+  return {
+    ...p,
+    cacheNamespace: `${p.id}|`,
+    quota: createQuotaLedger({
+      budget: p.quotaBudget,
+      file: CACHE_STORE === "memory" ? null : path.join(dir, "quota-ledger.json")
+    }),
+    archive: ARCHIVE === "off" ? null : createSnapshotArchive({
+      dir: path.join(dir, "archive"),
+      retentionDays: Math.max(0, parseInt(ARCHIVE_RETENTION_DAYS, 10) || 0) || null
+    }),
+    adGroups: createAdGroupMap({ file: path.join(dir, "adgroups.json"), sourceFile: p.adGroupsFile }),
+    schema: createSchemaMonitor({ file: CACHE_STORE === "memory" ? null : path.join(dir, "schema-baseline.json") })
+  };
+}
+
+const projects = new Map();
+for (const p of loadProjectRegistry({
+  file: PROJECTS_FILE,
+  json: PROJECTS_JSON,
+  defaults: {
+    token: CLARITY_API_TOKEN,
+    sharedSecret: SHARED_SECRET,
+    quotaBudget: Math.max(0, parseInt(QUOTA_BUDGET, 10) || 0),
+    adGroupsFile: ADGROUPS_FILE
+  }
+}).values()) {
+  projects.set(p.id, createProjectContext(p));
+}
+
+const defaultProjectId = DEFAULT_PROJECT || (projects.has("default") ? "default" : projects.size === 1 ? [...projects.keys()][0] : null);
+if (defaultProjectId && !projects.has(defaultProjectId)) throw new Error(`DEFAULT_PROJECT ${defaultProjectId} is not in the registry`);
+
+// Legacy secrets stay valid with every scope: each project's sharedSecret (SHARED_SECRET unless it has its own)
+function legacySecretKeys() {
+  const bySecret = new Map(); // secret -> project ids
+  for (const p of projects.values()) {
+    const secret = p.sharedSecret || SHARED_SECRET;
+    if (secret) bySecret.set(secret, [...(bySecret.get(secret) || []), p.id]);
+  }
+  return [...bySecret].map(([secret, ids]) => ({
+    label: secret === SHARED_SECRET ? "shared-secret" : `project:${ids.join("+")}`,
+    digest: sha256(secret),
+    scopes: SCOPES,
+    origins: [],
+    projects: ids.length === projects.size ? null : ids,
+    rateLimit: null
+  }));
+}
 
-const CLARITY_EXPORT_URL =
-  "https://www.clarity.ms/export-data/api/v1/project-live-insights";
+const keyEntries = [...loadApiKeys({ file: API_KEYS_FILE, json: API_KEYS_JSON }), ...legacySecretKeys()];
+const keyring = createKeyring(keyEntries);
+
+// A project no key can reach stays open, as it was before keys existed; non-project routes
+// (projectId undefined) are protected as soon as any key exists
+function isKeyProtected(projectId) {
+  return keyEntries.some((e) => !e.projects || projectId === undefined || e.projects.includes(projectId));
+}
 
-// Quota-safe cache: 1 fetch per (days + dimension set) per ~23h
-const cache = new Map();
+const corsOrigins = new Set([...CORS_ORIGINS.split(",").map((o) => o.trim()).filter(Boolean), ...keyring.origins()]);
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Request id (caller's X-Request-Id when sane) plus one JSON log line and metrics per request
+app.use((req, res, next) => {
+  const incoming = req.header("X-Request-Id");
+  req.id = incoming && REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader("X-Request-Id", req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = req.route ? `${req.baseUrl.startsWith("/p/") ? "/p/:project" : ""}${req.route.path}` : "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    console.log(JSON.stringify({
+      time: new Date().toISOString(),
+      level: res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info",
+      msg: "request",
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      project: req.project?.id || null,
+      apiKey: req.apiKey?.label || null,
+      stale: res.locals.stale ? true : undefined
+    }));
+  });
+  next();
+});
 
 app.use((req, res, next) => {
   res.setHeader("X-Content-Type-Options", "nosniff");
   res.setHeader("X-Frame-Options", "DENY");
   res.setHeader("Referrer-Policy", "no-referrer");
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  const origin = req.header("Origin");
+  if (corsOrigins.has("*")) res.setHeader("Access-Control-Allow-Origin", "*");
+  else if (origin && corsOrigins.has(origin)) res.setHeader("Access-Control-Allow-Origin", origin);
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
   res.setHeader("Access-Control-Allow-Headers", "Content-Type, X-API-Key");
   if (req.method === "OPTIONS") return res.sendStatus(204);
   next();
 });
 
-// Optional API key protection for your proxy
-function requireApiKey(req, res, next) {
-  if (!SHARED_SECRET) return next();
-  const key = req.header("X-API-Key");
-  if (!key || key !== SHARED_SECRET) return res.status(401).json({ error: "Unauthorized" });
+// Resolve the project from /p/:project/..., ?project= or the default project
+function resolveProject(req, res, next) {
+  const id = String(req.params.project || req.query.project || defaultProjectId || "");
+  if (!id) return res.status(400).json({ error: "Missing project (use /p/:project/... or ?project=)" });
+  const project = projects.get(id);
+  if (!project) return res.status(404).json({ error: `Unknown project: ${id}` });
+  req.project = project;
   next();
 }
 
-function num(v) {
-  if (v === null || v === undefined) return 0;
-  if (typeof v === "number") return Number.isFinite(v) ? v : 0;
-  const n = Number(v);
-  return Number.isFinite(n) ? n : 0;
+// Why a known key may not make this request, or null
+function keyDenial(key, req, scope) {
+  const origin = req.header("Origin");
+  if (key.projects && !req.project) return `Key ${key.label} is limited to projects ${key.projects.join(", ")}`;
+  if (key.projects && !key.projects.includes(req.project.id)) return `Key ${key.label} is not valid for project ${req.project.id}`;
+  if (origin && key.origins.length && !key.origins.includes(origin)) return `Origin ${origin} is not allowed for key ${key.label}`;
+  if (!key.scopes.includes(scope)) return `Key ${key.label} lacks scope ${scope}`;
+  return null;
 }
 
-// Normalize URL for matching: strip www, keep origin+decoded path, drop query/hash, strip trailing slash
-function normalizeUrlForMatch(input) {
-  if (!input) return "";
-  const s = String(input).trim();
-  if (!s) return "";
-  try {
-    const u = new URL(s);
-    let host = (u.hostname || "").toLowerCase();
-    if (host.startsWith("www.")) host = host.slice(4);
+// API key check for a route needing `scope`: unknown key 401; wrong project, origin or scope 403;
+// over the key's rate limit 429. Usage is counted per key label (and logged with each request).
+function requireApiKey(scope) {
+  return (req, res, next) => {
+    if (!isKeyProtected(req.project?.id)) return next();
+    const key = keyring.find(req.header("X-API-Key"));
+    if (!key) return res.status(401).json({ error: "Unauthorized" });
+
+    const denial = keyDenial(key, req, scope);
+    if (denial) {
+      keyring.record(key.label, "forbidden");
+      return res.status(403).json({ error: "Forbidden", message: denial });
+    }
+
+    const limit = keyring.consume(key);
+    if (limit.limit) {
+      res.setHeader("X-RateLimit-Limit", String(limit.limit));
+      res.setHeader("X-RateLimit-Remaining", String(limit.remaining));
+    }
+    if (!limit.ok) {
+      keyring.record(key.label, "rate_limited");
+      res.setHeader("Retry-After", String(limit.retryAfterSec));
+      return res.status(429).json({ error: "Rate limit exceeded", retryAfterSec: limit.retryAfterSec });
+    }
 
-    let path = u.pathname || "/";
-    try { path = decodeURI(path); } catch (_) {}
-    if (path.length > 1 && path.endsWith("/")) path = path.slice(0, -1);
+    keyring.record(key.label, "allowed");
+    req.apiKey = key;
+    next();
+  };
+}
 
-    return `https://${host}${path}`;
-  } catch {
-    return s.split("?")[0].split("#")[0].replace(/\/$/, "");
+// Errors from fetchClarityExport: quota refusals carry status 429, everything else is an upstream failure
+function sendUpstreamError(res, e) {
+  // e.g. a regex over its matching time budget (lib/urls.js)
+  if (e && e.status === 400) return res.status(400).json({ error: String(e.message || e) });
+  if (e && e.status === 429) {
+    if (e.retryAfterSec) res.setHeader("Retry-After", String(e.retryAfterSec));
+    return res.status(429).json({ error: "Quota exceeded", message: String(e.message || e), retryAfterSec: e.retryAfterSec || null });
   }
+  res.status(502).json({ error: "Upstream error", message: String(e.message || e) });
 }
 
-// Your schema uses "Url" field name
-function rowUrl(r) {
-  return r?.Url || r?.URL || r?.url || "";
+// Row filters worth pre-indexing for an export with these dimensions: every segment step that reads it
+function indexFiltersFor(dimensions) {
+  const key = dimensions.join("|");
+  const fns = [];
+  for (const seg of segments.values()) {
+    for (const step of seg.steps) if (step.dimensions.join("|") === key) fns.push(step.filter);
+  }
+  return fns;
 }
 
-// Fetch export with up to 3 dimensions
-async function fetchClarityExport({ days = 3, d1 = "URL", d2 = null, d3 = null, force = false }) {
-  const safeDays = Math.min(Math.max(parseInt(days, 10) || 3, 1), 3);
-
-  const cacheKey = `FULL|${safeDays}|${d1}|${d2 || ""}|${d3 || ""}`;
-  const now = Date.now();
-  const TTL_MS = 23 * 60 * 60 * 1000;
+function safeDaysOf(days) {
+  return Math.min(Math.max(parseInt(days, 10) || 3, 1), 3);
+}
 
-  const cached = cache.get(cacheKey);
-  if (!force && cached && cached.expiresAt > now) return cached.payload;
+function exportCacheKey(project, days, d1, d2, d3) {
+  return `${project.cacheNamespace}FULL|${safeDaysOf(days)}|${d1}|${d2 || ""}|${d3 || ""}`;
+}
 
-  const url = new URL(CLARITY_EXPORT_URL);
-  url.searchParams.set("numOfDays", String(safeDays));
-  url.searchParams.set("dimension1", d1);
-  if (d2) url.searchParams.set("dimension2", d2);
-  if (d3) url.searchParams.set("dimension3", d3);
-
-  const resp = await fetch(url.toString(), {
-    method: "GET",
-    headers: {
-      Authorization: `Bearer ${CLARITY_API_TOKEN || ""}`,
-      "Content-Type": "application/json"
-    }
-  });
+// Per-request state visible to fetchClarityExport (res.locals of the request being served)
+const requestContext = new AsyncLocalStorage();
 
-  if (!resp.ok) {
-    const t = await resp.text().catch(() => "");
-    throw new Error(`Clarity API error ${resp.status}: ${t.slice(0, 300)}`);
-  }
+// In-flight upstream calls by cache key, so concurrent misses share one call (and one quota unit)
+const inflight = new Map();
 
-  const json = await resp.json();
-  cache.set(cacheKey, { expiresAt: now + TTL_MS, payload: json });
-  return json;
-}
+// Last upstream failure by cache key: while a stale copy exists, non-forced calls don't retry for a while
+const lastFailureAt = new Map();
+const FAILURE_COOLDOWN_MS = 5 * 60 * 1000;
 
-function initGroup() {
-  return {
-    sessionsCount: 0,
-    sessionsWithMetricPercentage: 0,
-    sessionsWithoutMetricPercentage: 0,
-    pagesViews: 0,
-    subTotal: 0
-  };
+// Flag the current response as served from an expired export; the oldest one wins
+function markStale(entry, now) {
+  const locals = requestContext.getStore();
+  if (!locals) return;
+  const ageSec = Math.round((now - entry.fetchedAt) / 1000);
+  if (!locals.stale || ageSec > locals.stale.ageSec) locals.stale = { ageSec, fetchedAt: entry.fetchedAt };
 }
 
-function addGroup(target, r) {
-  target.sessionsCount += num(r.sessionsCount);
-  target.sessionsWithMetricPercentage += num(r.sessionsWithMetricPercentage);
-  target.sessionsWithoutMetricPercentage += num(r.sessionsWithoutMetricPercentage);
-  target.pagesViews += num(r.pagesViews);
-  target.subTotal += num(r.subTotal);
+// Flag the current response when the export family it read has drifted from the project's baseline schema
+function markSchemaDrift(project, family) {
+  const locals = requestContext.getStore();
+  const drift = locals && project.schema.driftFor(family);
+  if (drift) locals.schemaDrift = { ...locals.schemaDrift, [family]: summarizeDiff(drift) };
 }
 
-function createBaseOutput(targetFinalUrl) {
-  return {
-    targetUrl: targetFinalUrl,
-    normalizedTarget: normalizeUrlForMatch(targetFinalUrl),
-    matchedRows: 0,
-
-    // Traffic
-    totalSessionCount: 0,
-    totalBotSessionCount: 0,
-    distinctUserCount: 0,
-    pagesPerSessionPercentage: 0,
-
-    // EngagementTime
-    totalTime: 0,
-    activeTime: 0,
-
-    // ScrollDepth
-    averageScrollDepth: 0,
-
-    // Groups
-    RageClickCount: initGroup(),
-    DeadClickCount: initGroup(),
-    ExcessiveScroll: initGroup(),
-    QuickbackClick: initGroup(),
-    ScriptErrorCount: initGroup(),
-    ErrorClickCount: initGroup(),
-
-    // Computed
-    avgSessionDurationSec: 0,
-    activeTimePerSessionSec: 0
-  };
-}
+async function requestExport(project, cacheKey, safeDays, dimensions) {
+  const { quota, archive } = project;
+  const now = Date.now();
+  const TTL_MS = 23 * 60 * 60 * 1000;
 
-// -------- Google Ads filter logic (NO GTM, historical) --------
+  const url = new URL(CLARITY_EXPORT_URL);
+  url.searchParams.set("numOfDays", String(safeDays));
+  dimensions.forEach((d, i) => url.searchParams.set(`dimension${i + 1}`, d));
+
+  // Replay never touches the network, so it doesn't spend quota either
+  const replay = CLARITY_MODE === "replay";
+  const json = replay
+    ? await fixtures.load(safeDays, dimensions)
+    : await fetchJsonWithRetry(url.toString(), {
+      headers: {
+        Authorization: `Bearer ${project.token || ""}`,
+        "Content-Type": "application/json"
+      },
+      timeoutMs: Math.max(1000, Number(CLARITY_TIMEOUT_MS) || 30000),
+      retries: Math.max(0, parseInt(CLARITY_RETRIES, 10) || 0),
+      // Every attempt spends a call, so retries stop once the budget is spent
+      canRetry: () => quota.usage().remaining > 0,
+      onAttempt: (status, { durationMs, bytes }) => {
+        quota.record({ at: Date.now(), dimensions, days: safeDays, status });
+        upstreamCalls.inc({ family: dimensions.join("+"), status });
+        upstreamDuration.observe({ family: dimensions.join("+") }, durationMs / 1000);
+        if (bytes) upstreamBytes.observe({ family: dimensions.join("+") }, bytes);
+      }
+    });
 
-// You can filter by Channel OR by Source+Medium.
-// We'll support BOTH and accept if either indicates Google Ads.
-function isPaidSearchChannel(channelValue) {
-  const v = String(channelValue || "").toLowerCase().trim();
-  if (!v) return false;
+  cache.set(cacheKey, { expiresAt: now + TTL_MS, fetchedAt: now, payload: json });
+  warmUrlIndexes(json, indexFiltersFor(dimensions));
+  // Replayed fixtures are old data: they must not become today's snapshot, a schema baseline or an alert
+  if (replay) return json;
 
-  // Common label
-  if (v === "paid search") return true;
+  const drift = project.schema.check(dimensions.join("+"), json, now);
+  if (drift && drift.changed) console.error(`Schema drift in ${project.id} ${dimensions.join("+")} export: ${summarizeDiff(drift)}`);
 
-  // Looser matching
-  if (v.includes("paid") && v.includes("search")) return true;
-  if (v.includes("cpc") || v.includes("ppc")) return true;
+  if (CLARITY_MODE === "record") {
+    fixtures.save(safeDays, dimensions, json)
+      .catch((e) => console.error(`Fixture recording failed: ${e.message}`));
+  }
 
-  return false;
+  if (archive) {
+    archive.save({ payload: json, fetchedAt: now, days: safeDays, dimensions })
+      .catch((e) => console.error(`Snapshot archive failed: ${e.message}`));
+  }
+  evaluateAlertsAfterRefresh(project, dimensions, safeDays);
+  return json;
 }
 
-function isGoogleCpc(sourceValue, mediumValue) {
-  const s = String(sourceValue || "").toLowerCase().trim();
-  const m = String(mediumValue || "").toLowerCase().trim();
+// Fetch export with up to 3 dimensions for a project (token, cache namespace, quota, archive).
+// cacheOnly returns whatever is cached (even expired, flagged stale) or null, and never calls upstream.
+// When upstream fails, non-forced calls fall back to an expired export up to STALE_MAX_HOURS old.
+// budgeted gates cache misses on the quota budget like forced calls, for callers that can ask for
+// many distinct dimension sets (breakdowns).
+async function fetchClarityExport({ project, days = 3, d1 = "URL", d2 = null, d3 = null, force = false, cacheOnly = false, budgeted = false }) {
+  const safeDays = safeDaysOf(days);
+  const dimensions = [d1, d2, d3].filter(Boolean);
+  const cacheKey = exportCacheKey(project, safeDays, d1, d2, d3);
+  const now = Date.now();
+
+  const cached = cache.get(cacheKey);
+  if (cacheOnly) {
+    if (cached && cached.expiresAt <= now) markStale(cached, now);
+    return cached ? cached.payload : null;
+  }
+  const cacheEvent = (result) => cacheEvents.inc({ project: project.id, family: dimensions.join("+"), result });
+  if (!force) scheduler.noteRequest(project.id, safeDays, dimensions, now);
+  if (!force && cached && cached.expiresAt > now) {
+    cacheEvent("hit");
+    markSchemaDrift(project, dimensions.join("+"));
+    return cached.payload;
+  }
+
+  const staleMaxMs = Math.max(0, Number(STALE_MAX_HOURS) || 0) * 3600000;
+  const canServeStale = !force && cached && now - cached.fetchedAt <= staleMaxMs;
+  if (canServeStale && now - (lastFailureAt.get(cacheKey) || 0) < FAILURE_COOLDOWN_MS) {
+    cacheEvent("stale");
+    markStale(cached, now);
+    markSchemaDrift(project, dimensions.join("+"));
+    return cached.payload;
+  }
 
-  // Common paid traffic signatures
-  const sourceOk = (s === "google" || s.includes("google"));
-  const mediumOk = (m === "cpc" || m === "ppc" || m.includes("cpc") || m.includes("ppc"));
+  let pending = inflight.get(cacheKey);
+  cacheEvent(pending ? "coalesced" : "miss");
+  if (!pending) {
+    // Forced refreshes and budgeted misses are the easy ways to burn the allowance, so they are gated on the budget
+    if (force || budgeted) project.quota.assertAvailable(now);
+    pending = requestExport(project, cacheKey, safeDays, dimensions)
+      .then((json) => { lastFailureAt.delete(cacheKey); return json; },
+        (e) => { lastFailureAt.set(cacheKey, Date.now()); throw e; })
+      .finally(() => inflight.delete(cacheKey));
+    inflight.set(cacheKey, pending);
+  }
 
-  return sourceOk && mediumOk;
+  try {
+    const json = await pending;
+    markSchemaDrift(project, dimensions.join("+"));
+    return json;
+  } catch (e) {
+    if (!canServeStale) throw e;
+    console.error(`Serving stale export ${cacheKey}: ${e.message}`);
+    cacheEvent("stale");
+    markStale(cached, now);
+    markSchemaDrift(project, dimensions.join("+"));
+    return cached.payload;
+  }
 }
 
-/**
- * Aggregate ALL schema metrics for a URL from exportJson, with optional filterFn(row) to include/exclude rows.
- * This works for:
- * - URL-only exports (filterFn = null)
- * - Channel+URL exports (filterFn checks Channel)
- * - Source+Medium+URL exports (filterFn checks Source/Medium)
- */
-function aggregateAllMetricsFromExport(exportJson, targetFinalUrl, filterFn) {
-  const out = createBaseOutput(targetFinalUrl);
-  const normalizedTarget = out.normalizedTarget;
+// With ARCHIVE_DAILY_FETCH=on, the 1-day URL export is refreshed every day whether or not anyone asks
+// for it, so /metrics/history gets one snapshot per date instead of overlapping 3-day windows
+const ARCHIVE_COMBO = { days: 1, dimensions: ["URL"], always: true, archive: true };
+const archiveDailyFetch = ARCHIVE !== "off" && ARCHIVE_DAILY_FETCH === "on" && CLARITY_MODE !== "replay";
+
+// Keeps configured combos warm ahead of expiry (SCHEDULER=on), plus the archive combo (ARCHIVE_DAILY_FETCH=on)
+const scheduler = createScheduler({
+  combos: mergeCombos(SCHEDULER === "on" ? parseCombos(SCHEDULER_COMBOS) : [], archiveDailyFetch ? [ARCHIVE_COMBO] : []),
+  idleMs: Math.max(0, Number(SCHEDULER_IDLE_HOURS) || 0) * 3600000,
+  reserve: Math.max(0, parseInt(SCHEDULER_RESERVE, 10) || 0),
+  refresh: (project, { days, dimensions: [d1, d2 = null, d3 = null] }) =>
+    fetchClarityExport({ project, days, d1, d2, d3, force: true }),
+  cacheEntry: (project, { days, dimensions: [d1, d2, d3] }) => cache.get(exportCacheKey(project, days, d1, d2, d3)) || null
+});
 
-  let scrollDepthSum = 0, scrollDepthN = 0;
-  let pagesPerSessionPctSum = 0, pagesPerSessionPctN = 0;
+// Dimension sets (joined with "|") an alert rule reads
+function alertRuleDimensionKeys(rule) {
+  if (rule.segment === "all") return ["URL"];
+  return segments.get(rule.segment).steps.map((s) => s.dimensions.join("|"));
+}
 
-  for (const block of Array.isArray(exportJson) ? exportJson : []) {
-    const metricName = String(block.metricName || "");
-    const rows = Array.isArray(block.information) ? block.information : [];
+// A rule's metrics output from cached exports only (null when its data isn't cached)
+async function alertRuleOutput(project, rule) {
+  const opts = { match: rule.match, rates: true };
+  if (rule.segment === "all") {
+    const exportJson = await fetchClarityExport({ project, days: rule.days, d1: "URL", cacheOnly: true });
+    return exportJson ? aggregateAllMetricsFromExport(exportJson, rule.url, null, opts) : null;
+  }
+  const [out] = await segmentMetricsForUrls(project, segments.get(rule.segment), rule.days, [rule.url], opts, { cacheOnly: true });
+  return out;
+}
+
+// Evaluate the rules that read a freshly stored export, off the request path
+function evaluateAlertsAfterRefresh(project, dimensions, days) {
+  const key = dimensions.join("|");
+  const due = alerts.rulesFor(project.id).filter((r) => r.days === days && alertRuleDimensionKeys(r).includes(key));
+  if (!due.length) return;
+
+  setImmediate(async () => {
+    for (const rule of due) {
+      try {
+        await alerts.record(project.id, rule, await alertRuleOutput(project, rule));
+      } catch (e) {
+        console.error(`Alert ${rule.id} evaluation failed: ${e.message}`);
+      }
+    }
+  });
+}
 
-    for (const r of rows) {
-      if (filterFn && !filterFn(r)) continue;
+// Segment metrics for many URLs from the shared export cache (see segmentMetricsFromExports).
+// With cacheOnly, URLs whose step export isn't cached get null.
+function segmentMetricsForUrls(project, segment, days, targetUrls, matchOpts, { cacheOnly = false } = {}) {
+  return segmentMetricsFromExports(segment, targetUrls, ([d1, d2 = null, d3 = null]) =>
+    fetchClarityExport({ project, days, d1, d2, d3, force: false, cacheOnly }), matchOpts);
+}
 
-      const u = rowUrl(r);
-      const rn = normalizeUrlForMatch(u);
-      if (!rn || rn !== normalizedTarget) continue;
+// Every distinct normalized URL in a segment's exports ("all": the URL export), aggregated with rates.
+// Segment URLs go through segmentMetricsForUrls, so each URL uses the first step that has data for it.
+async function allUrlOutputs(project, segmentName, days, { version = 1 } = {}) {
+  const opts = { rates: true, version };
+  if (segmentName === "all") {
+    const urlExport = await fetchClarityExport({ project, days, d1: "URL", force: false });
+    const urls = Array.isArray(urlExport) ? [...getUrlIndex(urlExport, null).keys()].filter(Boolean) : [];
+    return aggregateManyFromExport(urlExport, urls, null, opts);
+  }
 
-      out.matchedRows += 1;
+  const segment = segments.get(segmentName);
+  const urls = await segmentUrlKeys(segment, ([d1, d2 = null, d3 = null]) =>
+    fetchClarityExport({ project, days, d1, d2, d3, force: false }));
+  return segmentMetricsForUrls(project, segment, days, [...urls], opts);
+}
 
-      if (metricName === "Traffic") {
-        out.totalSessionCount += num(r.totalSessionCount);
-        out.totalBotSessionCount += num(r.totalBotSessionCount);
-        out.distinctUserCount += num(r.distinctUserCount);
+// All traffic vs a segment vs everything else, all with rates. "rest" is the complement of the
+// segment step that produced the segment result, read from that same export.
+async function compareForUrl(project, segment, days, targetUrl, matchOpts) {
+  const opts = { ...matchOpts, rates: true };
+  const urlExport = await fetchClarityExport({ project, days, d1: "URL", force: false });
+  const all = aggregateAllMetricsFromExport(urlExport, targetUrl, null, opts);
 
-        const p = num(r.pagesPerSessionPercentage);
-        if (p) { pagesPerSessionPctSum += p; pagesPerSessionPctN += 1; }
-      }
+  const [paid] = await segmentMetricsForUrls(project, segment, days, [targetUrl], opts);
+  const step = segment.steps.find((s) => s.mode === paid.mode);
+  const [d1, d2 = null, d3 = null] = step.dimensions;
+  const stepExport = await fetchClarityExport({ project, days, d1, d2, d3, force: false });
+  const rest = { mode: `not_${step.mode}`, ...aggregateAllMetricsFromExport(stepExport, targetUrl, step.exclude, opts) };
 
-      if (metricName === "EngagementTime") {
-        out.totalTime += num(r.totalTime);
-        out.activeTime += num(r.activeTime);
-      }
+  return compareSegments({ all, paid, rest });
+}
 
-      if (metricName === "ScrollDepth") {
-        const d = num(r.averageScrollDepth);
-        if (d) { scrollDepthSum += d; scrollDepthN += 1; }
-      }
+// Run a segment over the distinct final URLs of some ad groups and roll the results up
+async function adGroupRollup(project, segment, days, adGroups, { version = 1 } = {}) {
+  const urls = project.adGroups.urlsFor(adGroups);
+  const results = await segmentMetricsForUrls(project, segment, days, urls.map((u) => u.url), { version });
+  return {
+    segment: segment.name,
+    urlCount: urls.length,
+    totals: rollupOutputs(results, { version }),
+    urls: results.map((r, i) => ({ adGroupIds: urls[i].adGroupIds, ...r }))
+  };
+}
 
-      if (metricName === "RageClickCount") addGroup(out.RageClickCount, r);
-      if (metricName === "DeadClickCount") addGroup(out.DeadClickCount, r);
-      if (metricName === "ExcessiveScroll") addGroup(out.ExcessiveScroll, r);
-      if (metricName === "QuickbackClick") addGroup(out.QuickbackClick, r);
-      if (metricName === "ScriptErrorCount") addGroup(out.ScriptErrorCount, r);
-      if (metricName === "ErrorClickCount") addGroup(out.ErrorClickCount, r);
-    }
+const HISTORY_MAX_DAYS = 366;
+
+// Daily series for a URL from archived URL-only snapshots, without counting any day twice. Dates
+// only covered by a 2- or 3-day snapshot get one point for the whole window, flagged multiDay.
+async function urlHistory(archive, targetUrl, from, to, matchOpts) {
+  const snapshots = await archive.list({ dimensions: ["URL"], from, to });
+  const { picked, missingDates } = selectNonOverlapping(snapshots, { from, to });
+
+  const points = [];
+  for (const s of picked) {
+    const snap = await archive.load(s);
+    const r = aggregateAllMetricsFromExport(snap.payload, targetUrl, null, { ...matchOpts, useIndex: false });
+    points.push({
+      date: s.date,
+      windowStart: s.windowStart,
+      windowDays: s.days,
+      multiDay: s.days > 1,
+      fetchedAt: new Date(snap.fetchedAt).toISOString(),
+      ...r
+    });
   }
+  return { points, missingDates };
+}
 
-  if (scrollDepthN > 0) out.averageScrollDepth = Math.round(scrollDepthSum / scrollDepthN);
-  if (pagesPerSessionPctN > 0) out.pagesPerSessionPercentage = Math.round(pagesPerSessionPctSum / pagesPerSessionPctN);
+const BATCH_MAX_URLS = 1000;
+
+// Batch body: { urls: ["https://...", { url, id }], days, match, keepParams }. Returns [{ key, url }] or throws with a 400 message.
+function parseBatchTargets(body) {
+  const items = Array.isArray(body?.urls) ? body.urls : null;
+  if (!items || !items.length) throw new Error("Body must contain a non-empty urls array");
+  if (items.length > BATCH_MAX_URLS) throw new Error(`Too many urls (max ${BATCH_MAX_URLS})`);
+
+  // Results are keyed by id (or url), so a repeated key would silently collapse into one result
+  const seen = new Set();
+  return items.map((item, i) => {
+    const url = String((typeof item === "string" ? item : item?.url) || "").trim();
+    if (!url) throw new Error(`urls[${i}] is missing a url`);
+    const id = typeof item === "object" && item.id != null ? String(item.id) : null;
+    const key = id || url;
+    if (seen.has(key)) throw new Error(`urls[${i}]: duplicate ${id ? "id" : "url"} ${key}`);
+    seen.add(key);
+    return { key, url };
+  });
+}
 
-  if (out.totalSessionCount > 0 && out.totalTime > 0) {
-    out.avgSessionDurationSec = Math.round(out.totalTime / out.totalSessionCount);
-  }
-  if (out.totalSessionCount > 0 && out.activeTime > 0) {
-    out.activeTimePerSessionSec = Math.round(out.activeTime / out.totalSessionCount);
-  }
+// JSON: results keyed by id/url. Row formats: one row per target with a leading key column.
+function sendBatch(req, res, days, targets, results) {
+  const keyed = {};
+  targets.forEach((t, i) => { keyed[t.key] = results[i]; });
+  const rows = targets.map((t, i) => ({ key: t.key, ...results[i] }));
+  sendFormatted(req, res, { days: Number(days), count: targets.length, results: keyed }, rows);
+}
 
-  return out;
+// Row formats for ad group / campaign rollups: a total row, then one row per URL
+function rollupRows(rollup) {
+  return [{ row: "total", ...rollup.totals }, ...rollup.urls.map((u) => ({ row: "url", ...u }))];
 }
 
 /* ---------------- ROUTES ---------------- */
@@ -248,11 +594,45 @@ function aggregateAllMetricsFromExport(exportJson, targetFinalUrl, filterFn) {
 // Health
 app.get("/", (req, res) => res.json({ ok: true, service: "clarity-proxy" }));
 
+prom.gauge("clarity_proxy_quota_remaining", "Upstream calls left in the rolling 24h window", () =>
+  [...projects.values()].map((p) => [{ project: p.id }, p.quota.usage().remaining]));
+prom.gauge("clarity_proxy_uptime_seconds", "Process uptime", () => [[{}, Math.round(process.uptime())]]);
+
+// Prometheus scrape endpoint (needs a key with the debug scope once any key is configured)
+app.get("/internal/prometheus", requireApiKey("debug"), (req, res) => {
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(prom.render());
+});
+
+// Every project-scoped route below is served both at /<route>?project=<id> and at /p/<id>/<route>
+const router = express.Router({ mergeParams: true });
+
+// Reject unknown ?format= before spending any upstream calls
+router.use((req, res, next) => {
+  if (!requestedFormat(req)) return res.status(400).json({ error: `format must be one of ${FORMATS.join(", ")}` });
+  requestContext.run(res.locals, next);
+});
+
+// Upstream quota usage over the rolling 24h window
+router.get("/quota", requireApiKey("metrics:read"), (req, res) => {
+  const u = req.project.quota.usage();
+  res.json({
+    project: req.project.id,
+    budget: u.budget,
+    used: u.used,
+    remaining: u.remaining,
+    windowHours: u.windowMs / 3600000,
+    nextSlotAt: u.nextSlotAt ? new Date(u.nextSlotAt).toISOString() : null,
+    nextSlotInSec: u.nextSlotAt ? Math.max(0, Math.ceil((u.nextSlotAt - Date.now()) / 1000)) : 0,
+    calls: u.calls.map((c) => ({ ...c, at: new Date(c.at).toISOString() }))
+  });
+});
+
 // Schema debug for URL-only export
-app.get("/debug/schema", requireApiKey, async (req, res) => {
+router.get("/debug/schema", requireApiKey("debug"), async (req, res) => {
   const days = req.query.days || "3";
   try {
-    const exportJson = await fetchClarityExport({ days, d1: "URL", force: true });
+    const exportJson = await fetchClarityExport({ project: req.project, days, d1: "URL", force: true });
     const schema = (Array.isArray(exportJson) ? exportJson : []).map((block) => {
       const rows = Array.isArray(block.information) ? block.information : [];
       const sampleRow = rows[0] || {};
@@ -260,28 +640,47 @@ app.get("/debug/schema", requireApiKey, async (req, res) => {
     });
     res.json({ days: Number(days), blockCount: schema.length, schema });
   } catch (e) {
-    res.status(502).json({ error: "Upstream error", message: String(e.message || e) });
+    sendUpstreamError(res, e);
   }
 });
 
+// The project's stored baseline schema per export family and how the latest fresh payload differs from it
+router.get("/debug/schema/diff", requireApiKey("debug"), (req, res) => {
+  const families = req.project.schema.report();
+  res.json({ changed: families.some((f) => f.changed), families });
+});
+
+// Accept the latest payload's schema as the new baseline for ?family= (e.g. Channel+URL)
+router.post("/debug/schema/baseline", requireApiKey("debug"), (req, res) => {
+  const family = String(req.query.family || "");
+  if (!family) return res.status(400).json({ error: "Missing query param: family" });
+  if (!req.project.schema.acceptLatest(family)) return res.status(404).json({ error: `No checked payload for family: ${family}` });
+  res.json({ ok: true, family });
+});
+
+// ?score=1: uxScore, lowConfidence and scoreComponents (needs the output aggregated with rates)
+function withScore(out) {
+  return { ...out, ...scoreOutput(out, scoring) };
+}
+
 // Refresh URL-only cache
-app.get("/refresh", requireApiKey, async (req, res) => {
+router.get("/refresh", requireApiKey("cache:refresh"), async (req, res) => {
   const days = req.query.days || "3";
   try {
-    const exportJson = await fetchClarityExport({ days, d1: "URL", force: true });
+    const exportJson = await fetchClarityExport({ project: req.project, days, d1: "URL", force: true });
     res.json({ ok: true, days: Number(days), blocks: Array.isArray(exportJson) ? exportJson.length : 0 });
   } catch (e) {
-    res.status(502).json({ error: "Upstream error", message: String(e.message || e) });
+    sendUpstreamError(res, e);
   }
 });
 
 // Refresh GoogleAds caches (Channel+URL and Source+Medium+URL) so you stay within quota predictably
-app.get("/refresh-googleads", requireApiKey, async (req, res) => {
+router.get("/refresh-googleads", requireApiKey("cache:refresh"), async (req, res) => {
   const days = req.query.days || "3";
   try {
     // Two caches: one by Channel, one by Source/Medium. Both help.
-    const a = await fetchClarityExport({ days, d1: "Channel", d2: "URL", force: true });
-    const b = await fetchClarityExport({ days, d1: "Source", d2: "Medium", d3: "URL", force: true });
+    const a = await fetchClarityExport({ project: req.project, days, d1: "Channel", d2: "URL", force: true });
+    const b = await fetchClarityExport({ project: req.project, days, d1: "Source", d2: "Medium", d3: "URL", force: true });
 
     res.json({
       ok: true,
@@ -290,52 +689,347 @@ app.get("/refresh-googleads", requireApiKey, async (req, res) => {
       blocks_source_medium_url: Array.isArray(b) ? b.length : 0
     });
   } catch (e) {
-    res.status(502).json({ error: "Upstream error", message: String(e.message || e) });
+    sendUpstreamError(res, e);
   }
 });
 
 // All traffic (no filter)
-app.get("/metrics", requireApiKey, async (req, res) => {
+router.get("/metrics", requireApiKey("metrics:read"), async (req, res) => {
   const targetUrl = String(req.query.url || "").trim();
   const days = req.query.days || "3";
   if (!targetUrl) return res.status(400).json({ error: "Missing query param: url" });
+  let matchOpts, score;
+  try {
+    matchOpts = matchOptions(req.query, [targetUrl]);
+    score = scoreRequested(req.query);
+  } catch (e) { return res.status(400).json({ error: e.message }); }
 
   try {
-    const exportJson = await fetchClarityExport({ days, d1: "URL", force: false });
-    res.json(aggregateAllMetricsFromExport(exportJson, targetUrl, null));
+    const exportJson = await fetchClarityExport({ project: req.project, days, d1: "URL", force: false });
+    const out = aggregateAllMetricsFromExport(exportJson, targetUrl, null, score ? { ...matchOpts, rates: true } : matchOpts);
+    sendFormatted(req, res, score ? withScore(out) : out);
   } catch (e) {
-    res.status(502).json({ error: "Upstream error", message: String(e.message || e) });
+    sendUpstreamError(res, e);
   }
 });
 
 // Google Ads only (historical) WITHOUT GTM
-app.get("/metrics-googleads", requireApiKey, async (req, res) => {
+router.get("/metrics-googleads", requireApiKey("metrics:read"), async (req, res) => {
+  const targetUrl = String(req.query.url || "").trim();
+  const days = req.query.days || "3";
+  if (!targetUrl) return res.status(400).json({ error: "Missing query param: url" });
+  let matchOpts, score;
+  try {
+    matchOpts = matchOptions(req.query, [targetUrl]);
+    score = scoreRequested(req.query);
+  } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    // 1) Channel+URL, and if Channel labeling fails, 2) Source+Medium+URL fallback
+    const [result] = await segmentMetricsForUrls(req.project, segments.get("googleads"), days, [targetUrl],
+      score ? { ...matchOpts, rates: true } : matchOpts);
+    sendFormatted(req, res, score ? withScore(result) : result);
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
+
+// Any named segment (built-in or custom), with the segment's own step fallback
+router.get("/metrics/segment/:name", requireApiKey("metrics:read"), async (req, res) => {
+  const segment = segments.get(req.params.name);
+  if (!segment) return res.status(404).json({ error: `Unknown segment: ${req.params.name}` });
+
+  const targetUrl = String(req.query.url || "").trim();
+  const days = req.query.days || "3";
+  if (!targetUrl) return res.status(400).json({ error: "Missing query param: url" });
+  let matchOpts;
+  try { matchOpts = matchOptions(req.query, [targetUrl]); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    const [result] = await segmentMetricsForUrls(req.project, segment, days, [targetUrl], matchOpts);
+    sendFormatted(req, res, { segment: segment.name, ...result });
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
+
+// All traffic vs paid segment (googleads unless ?segment=) vs the rest, with rates, shares and deltas
+router.get("/metrics/compare", requireApiKey("metrics:read"), async (req, res) => {
+  const targetUrl = String(req.query.url || "").trim();
+  const days = req.query.days || "3";
+  if (!targetUrl) return res.status(400).json({ error: "Missing query param: url" });
+  const segment = segments.get(String(req.query.segment || "googleads"));
+  if (!segment) return res.status(404).json({ error: `Unknown segment: ${req.query.segment}` });
+  let matchOpts;
+  try { matchOpts = matchOptions(req.query, [targetUrl]); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    const compared = await compareForUrl(req.project, segment, days, targetUrl, matchOpts);
+    const rows = Object.entries(compared).map(([name, out]) => ({ segment: name, ...out }));
+    sendFormatted(req, res, { targetUrl, segment: segment.name, days: Number(days), segments: compared }, rows);
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
+
+const BREAKDOWN_DIMENSIONS = CLARITY_DIMENSIONS.filter((d) => d !== "URL");
+
+// One aggregate per value of ?by= (and ?by2=) for a URL, busiest first. Reads the by[+by2]+URL
+// export through the shared cache, so repeating a breakdown doesn't spend quota. A combination that
+// isn't cached yet spends a call of the project's budget and is refused (429) once the budget is spent;
+// fetching it needs the cache:refresh scope, so read-only keys get cached (possibly stale) breakdowns only.
+router.get("/metrics/breakdown", requireApiKey("metrics:read"), async (req, res) => {
   const targetUrl = String(req.query.url || "").trim();
   const days = req.query.days || "3";
+  const by = [req.query.by, req.query.by2].filter(Boolean).map(String);
   if (!targetUrl) return res.status(400).json({ error: "Missing query param: url" });
+  if (!by.length) return res.status(400).json({ error: "Missing query param: by" });
+  const invalid = by.find((d) => !BREAKDOWN_DIMENSIONS.includes(d));
+  if (invalid) return res.status(400).json({ error: `by must be one of ${BREAKDOWN_DIMENSIONS.join(", ")} (got ${invalid})` });
+  if (by[0] === by[1]) return res.status(400).json({ error: "by and by2 must differ" });
+  let matchOpts;
+  try { matchOpts = matchOptions(req.query, [targetUrl]); } catch (e) { return res.status(400).json({ error: e.message }); }
 
   try {
-    // 1) Channel+URL
-    const byChannel = await fetchClarityExport({ days, d1: "Channel", d2: "URL", force: false });
-    const r1 = aggregateAllMetricsFromExport(byChannel, targetUrl, (row) => isPaidSearchChannel(row.Channel));
+    const [d1, d2, d3] = [...by, "URL"];
+    const mayFetch = !req.apiKey || req.apiKey.scopes.includes("cache:refresh");
+    const exportJson = await fetchClarityExport({ project: req.project, days, d1, d2, d3, force: false, budgeted: true, cacheOnly: !mayFetch });
+    if (!exportJson) {
+      return res.status(403).json({
+        error: "Forbidden",
+        message: `The ${[...by, "URL"].join("+")} export for ${safeDaysOf(days)} days isn't cached; fetching it needs scope cache:refresh`
+      });
+    }
+    const groups = aggregateBreakdownFromExport(exportJson, targetUrl, by, { ...matchOpts, rates: true });
+    sendFormatted(req, res, { targetUrl, by, days: Number(days), groupCount: groups.length, groups }, groups);
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
+
+const REPORT_MAX_LIMIT = 500;
+
+// Worst (or best, order=asc) pages by a metric or rate across every URL in the cached export
+router.get("/report/top", requireApiKey("metrics:read"), async (req, res) => {
+  const metric = String(req.query.metric || "RageClickCount");
+  const segmentName = String(req.query.segment || "all");
+  const order = String(req.query.order || "desc");
+  const days = req.query.days || "3";
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), REPORT_MAX_LIMIT);
+  const minSessions = Math.max(0, Number(req.query.minSessions) || 0);
+  if (!RANK_METRICS.includes(metric)) return res.status(400).json({ error: `metric must be one of ${RANK_METRICS.join(", ")}` });
+  if (segmentName !== "all" && !segments.has(segmentName)) return res.status(404).json({ error: `Unknown segment: ${segmentName}` });
+  if (order !== "desc" && order !== "asc") return res.status(400).json({ error: "order must be desc or asc" });
+  let version;
+  try { version = aggregationVersion(req.query); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    const outputs = await allUrlOutputs(req.project, segmentName, days, { version });
+    const results = rankOutputs(outputs, { metric, order, limit, minSessions });
+    sendFormatted(req, res, {
+      segment: segmentName,
+      metric,
+      order,
+      days: Number(days),
+      minSessions,
+      urlCount: outputs.length,
+      eligibleCount: outputs.filter((o) => o.totalSessionCount >= minSessions).length,
+      results
+    }, results);
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
+
+// Alert rules and their current state for this project
+router.get("/alerts", requireApiKey("metrics:read"), (req, res) => {
+  const entries = alerts.stateFor(req.project.id);
+  sendFormatted(req, res, {
+    project: req.project.id,
+    webhookConfigured: !!ALERT_WEBHOOK_URL,
+    firing: entries.filter((e) => e.status === "firing").length,
+    alerts: entries
+  }, entries);
+});
 
-    // If Channel labeling fails, 2) Source+Medium+URL fallback
-    if (r1.totalSessionCount > 0 || r1.matchedRows > 0) {
-      return res.json({ mode: "channel_url_paid_search", ...r1 });
+// Scheduler plan for this project: per-combo status, last run and next run. The archive's daily
+// fetch (ARCHIVE_DAILY_FETCH=on) shares the scheduler's slots but is reported on its own.
+router.get("/scheduler", requireApiKey("metrics:read"), (req, res) => {
+  const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+  const p = scheduler.plan(req.project);
+  const format = ({ archive, ...c }) => ({
+    ...c,
+    lastRequestedAt: iso(c.lastRequestedAt),
+    cachedUntil: iso(c.cachedUntil),
+    lastRunAt: iso(c.lastRunAt),
+    nextRunAt: iso(c.nextRunAt)
+  });
+  const combos = p.combos.filter((c) => !c.archive).map(format);
+  const archiveCombo = p.combos.find((c) => c.archive);
+  sendFormatted(req, res, {
+    enabled: SCHEDULER === "on" && scheduler.isRunning(),
+    tickSec: scheduler.tickMs / 1000,
+    ...p,
+    lastCallAt: iso(p.lastCallAt),
+    combos,
+    archiveDailyFetch: archiveCombo ? { ...format(archiveCombo), callsPerDay: 1 } : null
+  }, combos);
+});
+
+// Key labels, scopes and usage counters (never the keys themselves)
+// Only keys that can reach this project, so a project-limited key can't see other projects' keys
+router.get("/keys", requireApiKey("debug"), (req, res) => {
+  const keys = keyring.report().filter((k) => !k.projects || (req.project && k.projects.includes(req.project.id)));
+  sendFormatted(req, res, { count: keys.length, keys }, keys);
+});
+
+// Segment definitions
+router.get("/segments", requireApiKey("metrics:read"), (req, res) => {
+  res.json({ segments: [...segments.values()].map(describeSegment) });
+});
+
+// Ad group mapping upload: JSON body, or CSV sent as text/csv. ?mode=merge upserts instead of replacing.
+router.post(
+  "/adgroups",
+  requireApiKey("cache:refresh"),
+  express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }),
+  express.json({ limit: "5mb" }),
+  (req, res) => {
+    const mode = req.query.mode === "merge" ? "merge" : "replace";
+    let records;
+    try {
+      records = typeof req.body === "string" ? parseMapping(req.body, "csv") : parseMapping(req.body, "json");
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid mapping", message: String(e.message || e) });
     }
+    const total = req.project.adGroups.load(records, { mode });
+    res.json({ ok: true, mode, received: records.size, adGroupCount: total });
+  }
+);
+
+// Current ad group mapping
+router.get("/adgroups", requireApiKey("metrics:read"), (req, res) => {
+  const adGroups = req.project.adGroups.list();
+  sendFormatted(req, res, { count: adGroups.length, adGroups }, adGroups);
+});
+
+// Segment metrics (Google Ads by default) rolled up over an ad group's final URLs
+router.get("/metrics/adgroup/:id", requireApiKey("metrics:read"), async (req, res) => {
+  const adGroup = req.project.adGroups.adGroup(req.params.id);
+  if (!adGroup) return res.status(404).json({ error: `Unknown ad group: ${req.params.id}` });
+  const segment = segments.get(String(req.query.segment || "googleads"));
+  if (!segment) return res.status(404).json({ error: `Unknown segment: ${req.query.segment}` });
+  const days = req.query.days || "3";
+  let version;
+  try { version = aggregationVersion(req.query); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    const rollup = await adGroupRollup(req.project, segment, days, [adGroup], { version });
+    sendFormatted(req, res, { ...adGroup, days: Number(days), ...rollup }, rollupRows(rollup));
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
+
+// Same, over every ad group of a campaign (URLs shared by several ad groups count once)
+router.get("/metrics/campaign/:id", requireApiKey("metrics:read"), async (req, res) => {
+  const adGroups = req.project.adGroups.campaignAdGroups(req.params.id);
+  if (!adGroups.length) return res.status(404).json({ error: `Unknown campaign: ${req.params.id}` });
+  const segment = segments.get(String(req.query.segment || "googleads"));
+  if (!segment) return res.status(404).json({ error: `Unknown segment: ${req.query.segment}` });
+  const days = req.query.days || "3";
+  let version;
+  try { version = aggregationVersion(req.query); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    const rollup = await adGroupRollup(req.project, segment, days, adGroups, { version });
+    sendFormatted(req, res, {
+      campaignId: req.params.id,
+      campaignName: adGroups.find((g) => g.campaignName)?.campaignName || "",
+      days: Number(days),
+      adGroups: adGroups.map(({ adGroupId, adGroupName, finalUrls }) => ({ adGroupId, adGroupName, finalUrls })),
+      ...rollup
+    }, rollupRows(rollup));
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
+
+// Daily history from the snapshot archive (defaults to the last 30 days)
+router.get("/metrics/history", requireApiKey("metrics:read"), async (req, res) => {
+  const targetUrl = String(req.query.url || "").trim();
+  if (!targetUrl) return res.status(400).json({ error: "Missing query param: url" });
+  const { archive } = req.project;
+  if (!archive) return res.status(404).json({ error: "Snapshot archive is disabled (ARCHIVE=off)" });
+
+  const isDate = (d) => /^\d{4}-\d{2}-\d{2}$/.test(d) && !Number.isNaN(Date.parse(d));
+  const to = String(req.query.to || isoDate(Date.now()));
+  const from = String(req.query.from || addDays(to, -29));
+  if (!isDate(from) || !isDate(to)) return res.status(400).json({ error: "from/to must be YYYY-MM-DD" });
+  if (from > to) return res.status(400).json({ error: "from must not be after to" });
+  if (Date.parse(to) - Date.parse(from) > HISTORY_MAX_DAYS * 86400000) {
+    return res.status(400).json({ error: `Range too long (max ${HISTORY_MAX_DAYS} days)` });
+  }
+  let matchOpts;
+  try { matchOpts = matchOptions(req.query, [targetUrl]); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  try {
+    const { points, missingDates } = await urlHistory(archive, targetUrl, from, to, matchOpts);
+    const multiDayPointCount = points.filter((p) => p.multiDay).length;
+    sendFormatted(req, res, { targetUrl, from, to, pointCount: points.length, multiDayPointCount, missingDates, points }, points);
+  } catch (e) {
+    res.status(500).json({ error: "Archive error", message: String(e.message || e) });
+  }
+});
+
+// Batch: all traffic for many URLs, one pass over the cached export
+router.post("/metrics/batch", requireApiKey("metrics:read"), express.json({ limit: "1mb" }), async (req, res) => {
+  const days = req.body?.days || req.query.days || "3";
+  let targets;
+  let matchOpts;
+  try {
+    targets = parseBatchTargets(req.body);
+    matchOpts = matchOptions({ v: req.query.v, ...req.body }, targets.map((t) => t.url));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
 
-    const bySourceMedium = await fetchClarityExport({ days, d1: "Source", d2: "Medium", d3: "URL", force: false });
-    const r2 = aggregateAllMetricsFromExport(bySourceMedium, targetUrl, (row) =>
-      isGoogleCpc(row.Source, row.Medium)
-    );
+  try {
+    const exportJson = await fetchClarityExport({ project: req.project, days, d1: "URL", force: false });
+    const results = aggregateManyFromExport(exportJson, targets.map((t) => t.url), null, matchOpts);
+    sendBatch(req, res, days, targets, results);
+  } catch (e) {
+    sendUpstreamError(res, e);
+  }
+});
 
-    return res.json({ mode: "source_medium_url_google_cpc", ...r2 });
+// Batch: Google Ads only, same Channel -> Source/Medium fallback applied per URL
+router.post("/metrics-googleads/batch", requireApiKey("metrics:read"), express.json({ limit: "1mb" }), async (req, res) => {
+  const days = req.body?.days || req.query.days || "3";
+  let targets;
+  let matchOpts;
+  try {
+    targets = parseBatchTargets(req.body);
+    matchOpts = matchOptions({ v: req.query.v, ...req.body }, targets.map((t) => t.url));
   } catch (e) {
-    res.status(502).json({ error: "Upstream error", message: String(e.message || e) });
+    return res.status(400).json({ error: e.message });
+  }
+
+  try {
+    const results = await segmentMetricsForUrls(req.project, segments.get("googleads"), days, targets.map((t) => t.url), matchOpts);
+    sendBatch(req, res, days, targets, results);
+  } catch (e) {
+    sendUpstreamError(res, e);
   }
 });
 
-app.listen(PORT, () => console.log(`Running on port ${PORT}`));
+app.use("/p/:project", resolveProject, router);
+app.use(resolveProject, router);
+
+app.listen(PORT, () => {
+  console.log(`Running on port ${PORT}`);
+  if (scheduler.combos.length) scheduler.start([...projects.values()]);
+});
 
 
 // const express = require("express");
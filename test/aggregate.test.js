@@ -0,0 +1,92 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { aggregateAllMetricsFromExport, rollupOutputs } = require("../lib/aggregate");
+
+// Export with one row per { url, channel, sessions, ragePct, scroll, pps } in every block
+function exportOf(rows) {
+  const dims = (r) => ({ Url: r.url, Channel: r.channel });
+  return [
+    {
+      metricName: "Traffic",
+      information: rows.map((r) => ({
+        ...dims(r),
+        totalSessionCount: String(r.sessions),
+        totalBotSessionCount: "0",
+        distinctUserCount: String(r.sessions),
+        pagesPerSessionPercentage: r.pps
+      }))
+    },
+    { metricName: "ScrollDepth", information: rows.map((r) => ({ ...dims(r), averageScrollDepth: r.scroll })) },
+    {
+      metricName: "RageClickCount",
+      information: rows.map((r) => ({
+        ...dims(r),
+        sessionsCount: String(r.sessions),
+        sessionsWithMetricPercentage: r.ragePct,
+        sessionsWithoutMetricPercentage: 100 - r.ragePct,
+        pagesViews: String(r.sessions),
+        subTotal: String((r.sessions * r.ragePct) / 100)
+      }))
+    }
+  ];
+}
+
+const URL_A = "https://example.com/a";
+const URL_B = "https://example.com/b";
+
+// Two rows for /a: a small one with few rage clicks and shallow scrolls, a big one with many and deep
+const EXPORT = exportOf([
+  { url: URL_A, channel: "Paid search", sessions: 100, ragePct: 10, scroll: 20, pps: 1 },
+  { url: `${URL_A}?gclid=1`, channel: "Direct", sessions: 300, ragePct: 50, scroll: 60, pps: 2 },
+  { url: URL_B, channel: "Direct", sessions: 100, ragePct: 10, scroll: 20, pps: 1 }
+]);
+
+test("v1 sums row percentages and averages scroll depth per row", () => {
+  const out = aggregateAllMetricsFromExport(EXPORT, URL_A, null, { version: 1 });
+  assert.equal(out.totalSessionCount, 400);
+  assert.equal(out.RageClickCount.sessionsWithMetricPercentage, 60);
+  assert.equal(out.RageClickCount.sessionsWithoutMetricPercentage, 140);
+  assert.equal(out.averageScrollDepth, 40);
+  assert.equal(out.pagesPerSessionPercentage, 2);
+  assert.equal(out.aggregationVersion, undefined);
+});
+
+test("v2 recomputes percentages from counts and weights averages by sessions", () => {
+  const out = aggregateAllMetricsFromExport(EXPORT, URL_A, null, { version: 2 });
+  assert.equal(out.totalSessionCount, 400);
+  assert.equal(out.RageClickCount.sessionsWithMetricPercentage, 40);
+  assert.equal(out.RageClickCount.sessionsWithoutMetricPercentage, 60);
+  assert.equal(out.RageClickCount.subTotal, 160);
+  assert.equal(out.averageScrollDepth, 50);
+  assert.equal(out.pagesPerSessionPercentage, 1.75);
+  assert.equal(out.aggregationVersion, 2);
+});
+
+test("v1 and v2 agree on counts", () => {
+  const v1 = aggregateAllMetricsFromExport(EXPORT, URL_A, null, { version: 1 });
+  const v2 = aggregateAllMetricsFromExport(EXPORT, URL_A, null, { version: 2 });
+  for (const f of ["matchedRows", "totalSessionCount", "distinctUserCount"]) assert.equal(v2[f], v1[f]);
+  assert.equal(v2.RageClickCount.sessionsCount, v1.RageClickCount.sessionsCount);
+  assert.equal(v2.RageClickCount.subTotal, v1.RageClickCount.subTotal);
+});
+
+test("rollupOutputs v2 weights each output by its sessions", () => {
+  const a = aggregateAllMetricsFromExport(EXPORT, URL_A, null, { version: 2 });
+  const b = aggregateAllMetricsFromExport(EXPORT, URL_B, null, { version: 2 });
+  const total = rollupOutputs([a, b], { version: 2 });
+  assert.equal(total.totalSessionCount, 500);
+  assert.equal(total.RageClickCount.sessionsWithMetricPercentage, 34); // (40 * 400 + 10 * 100) / 500
+  assert.equal(total.RageClickCount.sessionsWithoutMetricPercentage, 66);
+  assert.equal(total.averageScrollDepth, 44); // (50 * 400 + 20 * 100) / 500
+  assert.equal(total.pagesPerSessionPercentage, 1.6); // (1.75 * 400 + 1 * 100) / 500
+  assert.equal(total.aggregationVersion, 2);
+});
+
+test("rollupOutputs v1 keeps the original sums and plain averages", () => {
+  const a = aggregateAllMetricsFromExport(EXPORT, URL_A, null, { version: 1 });
+  const b = aggregateAllMetricsFromExport(EXPORT, URL_B, null, { version: 1 });
+  const total = rollupOutputs([a, b], { version: 1 });
+  assert.equal(total.totalSessionCount, 500);
+  assert.equal(total.RageClickCount.sessionsWithMetricPercentage, 70);
+  assert.equal(total.averageScrollDepth, 30);
+});
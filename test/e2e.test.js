@@ -0,0 +1,366 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("node:child_process");
+const { once } = require("node:events");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+// Every route of server.js against scripts/clarity-stub.js, both started as child processes.
+// The proxy keeps its cache in memory; the archive, ad group mapping and fixtures go to a temp DATA_DIR.
+
+const ROOT = path.join(__dirname, "..");
+const ADMIN = "e2e-admin"; // every scope
+const READER = "e2e-reader"; // metrics:read only
+const HOME = "https://www.example.com/";
+const PRICING = "https://www.example.com/pricing/page-4/";
+
+const children = [];
+let dataDir;
+let exportUrl;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+function start(script, env) {
+  const child = spawn(process.execPath, [path.join(ROOT, script)], {
+    cwd: ROOT,
+    env: { ...process.env, ...env },
+    stdio: ["ignore", "ignore", "pipe"]
+  });
+  let stderr = "";
+  child.stderr.on("data", (d) => { stderr += d; });
+  child.output = () => stderr;
+  children.push(child);
+  return child;
+}
+
+async function waitUntilUp(url, child) {
+  for (let i = 0; i < 100; i++) {
+    if (child.exitCode !== null) throw new Error(`exited early:\n${child.output()}`);
+    try {
+      await fetch(url);
+      return;
+    } catch {
+      await new Promise((r) => setTimeout(r, 100));
+    }
+  }
+  throw new Error(`${url} not up after 10s:\n${child.output()}`);
+}
+
+// Poll until check() holds (for files written in the background), failing after 5s
+async function eventually(check) {
+  for (let i = 0; i < 50 && !check(); i++) await new Promise((r) => setTimeout(r, 100));
+  assert.ok(check());
+}
+
+// Start server.js on a free port, env on top of the stub-backed defaults
+async function startProxy(env) {
+  const port = await freePort();
+  const proxy = start("server.js", {
+    PORT: String(port),
+    CACHE_STORE: "memory",
+    QUOTA_BUDGET: "50",
+    SCHEDULER: "off",
+    CLARITY_API_TOKEN: "e2e-token",
+    CLARITY_EXPORT_URL: exportUrl,
+    ...env
+  });
+  const url = `http://localhost:${port}`;
+  await waitUntilUp(`${url}/`, proxy);
+  return { url, proxy };
+}
+
+async function call(route, { key = ADMIN, method = "GET", body, type = "application/json", origin = base } = {}) {
+  const headers = key ? { "X-API-Key": key } : {};
+  if (body !== undefined) headers["Content-Type"] = type;
+  const res = await fetch(origin + route, {
+    method,
+    headers,
+    body: body === undefined || typeof body === "string" ? body : JSON.stringify(body)
+  });
+  const text = await res.text();
+  const json = (res.headers.get("content-type") || "").includes("json") ? JSON.parse(text) : null;
+  return { status: res.status, headers: res.headers, text, json };
+}
+
+// Call a route expected to answer 200 and return its JSON body
+async function ok(route, opts) {
+  const res = await call(route, opts);
+  assert.equal(res.status, 200, `${route}: ${res.text}`);
+  return res.json;
+}
+
+const q = (params) => new URLSearchParams(params).toString();
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "clarity-e2e-"));
+  const stubPort = await freePort();
+  const stub = start("scripts/clarity-stub.js", { STUB_PORT: String(stubPort), STUB_DAILY_LIMIT: "0", STUB_FAIL_RATE: "0" });
+  await waitUntilUp(`http://localhost:${stubPort}/`, stub);
+  exportUrl = `http://localhost:${stubPort}/export-data/api/v1/project-live-insights`;
+
+  ({ url: base } = await startProxy({
+    DATA_DIR: path.join(dataDir, "live"),
+    API_KEYS_JSON: JSON.stringify([
+      { label: "admin", key: ADMIN, scopes: ["metrics:read", "cache:refresh", "debug"] },
+      { label: "reader", key: READER, scopes: ["metrics:read"] }
+    ])
+  }));
+});
+
+after(() => {
+  for (const child of children) child.kill();
+  if (dataDir) fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("health check needs no key", async () => {
+  const body = await ok("/", { key: null });
+  assert.equal(body.ok, true);
+});
+
+test("routes refuse a missing key and a key without the scope", async () => {
+  assert.equal((await call(`/metrics?${q({ url: HOME })}`, { key: null })).status, 401);
+  assert.equal((await call(`/metrics?${q({ url: HOME })}`, { key: "wrong" })).status, 401);
+  assert.equal((await call("/refresh", { key: READER })).status, 403);
+  assert.equal((await call("/debug/schema/diff", { key: READER })).status, 403);
+  assert.equal((await call("/internal/prometheus", { key: READER })).status, 403);
+});
+
+test("refresh routes fill the cache from the stub", async () => {
+  const url = await ok("/refresh");
+  assert.equal(url.ok, true);
+  assert.equal(url.blocks, 9);
+  const ads = await ok("/refresh-googleads");
+  assert.equal(ads.ok, true);
+});
+
+test("metrics for one URL, with options and formats", async () => {
+  const out = await ok(`/metrics?${q({ url: HOME })}`);
+  assert.ok(out.totalSessionCount > 0);
+  assert.ok(out.RageClickCount.sessionsCount > 0);
+
+  const v2 = await ok(`/metrics?${q({ url: HOME, v: "2", include: "unknown" })}`);
+  assert.equal(v2.aggregationVersion, 2);
+  assert.equal(v2.totalSessionCount, out.totalSessionCount);
+
+  const scored = await ok(`/metrics?${q({ url: HOME, score: "1" })}`);
+  assert.equal(typeof scored.uxScore, "number");
+
+  const prefix = await ok(`/metrics?${q({ url: "https://www.example.com/pricing/", match: "prefix" })}`);
+  const regex = await ok(`/metrics?${q({ url: "^https://example\\.com/pricing/", match: "regex" })}`); // against normalized URLs
+  assert.ok(prefix.totalSessionCount > 0);
+  assert.equal(regex.totalSessionCount, prefix.totalSessionCount);
+
+  const csv = await call(`/metrics?${q({ url: HOME, format: "csv" })}`);
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /text\/csv/);
+  assert.match(csv.text.split("\n")[0], /totalSessionCount/);
+});
+
+test("metrics reject bad input with 400", async () => {
+  assert.equal((await call("/metrics")).status, 400);
+  assert.equal((await call(`/metrics?${q({ url: HOME, v: "3" })}`)).status, 400);
+  assert.equal((await call(`/metrics?${q({ url: HOME, match: "fuzzy" })}`)).status, 400);
+  const unsafe = await call(`/metrics?${q({ url: "(a+)+$", match: "regex" })}`);
+  assert.equal(unsafe.status, 400);
+  assert.match(unsafe.json.error, /Unsafe regex/);
+});
+
+test("Google Ads and named segments", async () => {
+  const ads = await ok(`/metrics-googleads?${q({ url: PRICING })}`);
+  assert.ok(ads.totalSessionCount > 0);
+  const all = await ok(`/metrics?${q({ url: PRICING })}`);
+  assert.ok(ads.totalSessionCount < all.totalSessionCount);
+
+  const organic = await ok(`/metrics/segment/organic?${q({ url: PRICING })}`);
+  assert.equal(organic.segment, "organic");
+  assert.ok(organic.totalSessionCount > 0);
+  assert.equal((await call(`/metrics/segment/nope?${q({ url: PRICING })}`)).status, 404);
+
+  const list = await ok("/segments");
+  assert.ok(JSON.stringify(list).includes("googleads"));
+});
+
+test("compare splits all traffic into the paid segment and the rest", async () => {
+  const body = await ok(`/metrics/compare?${q({ url: PRICING })}`);
+  const { all, paid, rest } = body.segments;
+  assert.ok(paid.totalSessionCount > 0 && rest.totalSessionCount > 0);
+  assert.equal(paid.totalSessionCount + rest.totalSessionCount, all.totalSessionCount);
+});
+
+test("breakdown groups add up to the URL total", async () => {
+  const all = await ok(`/metrics?${q({ url: PRICING })}`);
+  for (const by of [{ by: "Device" }, { by: "Browser", by2: "Channel" }]) {
+    const body = await ok(`/metrics/breakdown?${q({ url: PRICING, ...by })}`);
+    assert.ok(body.groupCount > 1);
+    const sessions = body.groups.reduce((sum, g) => sum + g.totalSessionCount, 0);
+    assert.equal(sessions, all.totalSessionCount);
+  }
+  assert.equal((await call(`/metrics/breakdown?${q({ url: PRICING, by: "URL" })}`)).status, 400);
+});
+
+test("read-only keys get cached breakdowns only", async () => {
+  const cached = await ok(`/metrics/breakdown?${q({ url: PRICING, by: "Device" })}`, { key: READER });
+  assert.ok(cached.groupCount > 1);
+
+  const before = await ok("/quota");
+  const uncached = await call(`/metrics/breakdown?${q({ url: PRICING, by: "OS" })}`, { key: READER });
+  assert.equal(uncached.status, 403);
+  assert.match(uncached.json.message, /cache:refresh/);
+  assert.equal((await ok("/quota")).used, before.used);
+});
+
+test("report ranks every URL in the export", async () => {
+  const body = await ok(`/report/top?${q({ metric: "RageClickCount", limit: "5" })}`);
+  assert.equal(body.results.length, 5);
+  assert.ok(body.urlCount >= 5);
+  const ads = await ok(`/report/top?${q({ segment: "googleads", order: "asc" })}`);
+  assert.ok(ads.results.length > 0);
+  assert.equal((await call(`/report/top?${q({ metric: "nope" })}`)).status, 400);
+});
+
+test("batch routes key results by id or URL", async () => {
+  const urls = [{ id: "home", url: HOME }, PRICING];
+  const all = await ok("/metrics/batch", { method: "POST", body: { urls } });
+  assert.deepEqual(Object.keys(all.results).sort(), ["home", PRICING].sort());
+  assert.ok(all.results.home.totalSessionCount > 0);
+
+  const ads = await ok("/metrics-googleads/batch", { method: "POST", body: { urls, v: "2" } });
+  assert.ok(ads.results[PRICING].totalSessionCount > 0);
+  assert.equal((await call("/metrics/batch", { method: "POST", body: {} })).status, 400);
+});
+
+test("batch routes refuse duplicate ids and URLs", async () => {
+  for (const route of ["/metrics/batch", "/metrics-googleads/batch"]) {
+    const dupUrl = await call(route, { method: "POST", body: { urls: [HOME, PRICING, HOME] } });
+    assert.equal(dupUrl.status, 400);
+    assert.match(dupUrl.json.error, /urls\[2\]: duplicate url/);
+    const dupId = await call(route, { method: "POST", body: { urls: [{ id: "x", url: HOME }, { id: "x", url: PRICING }] } });
+    assert.equal(dupId.status, 400);
+    assert.match(dupId.json.error, /urls\[1\]: duplicate id x/);
+  }
+  // The same URL under different ids is fine
+  const both = await ok("/metrics/batch", { method: "POST", body: { urls: [{ id: "a", url: HOME }, { id: "b", url: HOME }] } });
+  assert.equal(both.count, 2);
+  assert.equal(Object.keys(both.results).length, 2);
+});
+
+test("ad group mapping and rollups", async () => {
+  const csv = [
+    "Ad group ID,Ad group,Campaign ID,Campaign,Final URL",
+    `11,Home,9,Brand,${HOME}`,
+    `12,Pricing,9,Brand,${PRICING}`
+  ].join("\n");
+  const upload = await ok("/adgroups", { method: "POST", body: csv, type: "text/csv" });
+  assert.equal(upload.adGroupCount, 2);
+  assert.equal((await call("/adgroups", { key: READER, method: "POST", body: csv, type: "text/csv" })).status, 403);
+
+  const list = await ok("/adgroups");
+  assert.equal(list.count, 2);
+
+  const group = await ok("/metrics/adgroup/12");
+  assert.equal(group.urlCount, 1);
+  assert.ok(group.totals.totalSessionCount > 0);
+
+  const campaign = await ok("/metrics/campaign/9?v=2");
+  assert.equal(campaign.urlCount, 2);
+  assert.equal(campaign.totals.aggregationVersion, 2);
+  assert.equal(
+    campaign.totals.totalSessionCount,
+    campaign.urls.reduce((sum, u) => sum + u.totalSessionCount, 0)
+  );
+  assert.equal((await call("/metrics/adgroup/404")).status, 404);
+});
+
+test("history reads the snapshots archived by the fetches above", async () => {
+  const body = await ok(`/metrics/history?${q({ url: HOME })}`);
+  assert.ok(body.pointCount >= 1);
+  assert.ok(body.points.every((p) => p.totalSessionCount > 0));
+  assert.equal((await call(`/metrics/history?${q({ url: HOME, from: "2026-02-01", to: "2026-01-01" })}`)).status, 400);
+});
+
+test("schema debugging routes", async () => {
+  const schema = await ok("/debug/schema");
+  assert.equal(schema.blockCount, 9);
+
+  const diff = await ok("/debug/schema/diff");
+  assert.equal(diff.changed, false);
+  assert.ok(diff.families.length > 0);
+
+  const family = diff.families[0].family;
+  const accepted = await ok(`/debug/schema/baseline?${q({ family })}`, { method: "POST" });
+  assert.equal(accepted.ok, true);
+  assert.equal((await call("/debug/schema/baseline?family=nope", { method: "POST" })).status, 404);
+});
+
+test("quota, alerts, scheduler, keys and metrics exposition", async () => {
+  const quota = await ok("/quota");
+  assert.ok(quota.used > 0);
+
+  const alerts = await ok("/alerts");
+  assert.equal(alerts.firing, 0);
+
+  const scheduler = await ok("/scheduler");
+  assert.equal(scheduler.enabled, false);
+  assert.deepEqual(scheduler.combos, []);
+  assert.equal(scheduler.archiveDailyFetch, null);
+
+  const keys = await ok("/keys");
+  assert.deepEqual(keys.keys.map((k) => k.label).sort(), ["admin", "reader"]);
+  assert.ok(!JSON.stringify(keys).includes(ADMIN));
+
+  const prom = await call("/internal/prometheus");
+  assert.equal(prom.status, 200);
+  assert.match(prom.text, /^# (HELP|TYPE) /m);
+});
+
+test("project-scoped paths serve the default project", async () => {
+  const scoped = await ok(`/p/default/metrics?${q({ url: HOME })}`);
+  const plain = await ok(`/metrics?${q({ url: HOME })}`);
+  assert.equal(scoped.totalSessionCount, plain.totalSessionCount);
+  await ok("/p/default/quota");
+  assert.equal((await call(`/p/nope/metrics?${q({ url: HOME })}`)).status, 404);
+});
+
+test("record then replay serves the recorded exports without side effects", async () => {
+  const fixturesDir = path.join(dataDir, "fixtures");
+  const recorder = await startProxy({ DATA_DIR: path.join(dataDir, "record"), CLARITY_MODE: "record", FIXTURES_DIR: fixturesDir });
+  const recorded = await ok(`/metrics?${q({ url: HOME })}`, { key: null, origin: recorder.url });
+  await eventually(() => fs.existsSync(fixturesDir) && fs.readdirSync(fixturesDir).some((n) => n.endsWith(".json")));
+  recorder.proxy.kill();
+  await once(recorder.proxy, "exit");
+
+  // No network in replay: the upstream URL is unreachable on purpose
+  const replayDir = path.join(dataDir, "replay");
+  const replayer = await startProxy({
+    DATA_DIR: replayDir,
+    CLARITY_MODE: "replay",
+    FIXTURES_DIR: fixturesDir,
+    CLARITY_EXPORT_URL: "http://localhost:9/unreachable"
+  });
+  const opts = { key: null, origin: replayer.url };
+  assert.deepEqual(await ok(`/metrics?${q({ url: HOME })}`, opts), recorded);
+  assert.equal((await ok("/quota", opts)).used, 0);
+
+  // Fixtures are old data: no snapshot, schema baseline or alert state comes from them
+  assert.equal((await ok(`/metrics/history?${q({ url: HOME })}`, opts)).pointCount, 0);
+  assert.deepEqual((await ok("/debug/schema/diff", opts)).families, []);
+  await new Promise((r) => setTimeout(r, 200));
+  const written = fs.existsSync(replayDir) ? fs.readdirSync(replayDir, { recursive: true }) : [];
+  assert.ok(!written.some((n) => /archive|schema-baseline/.test(n)), written.join(", "));
+
+  const missing = await call(`/metrics-googleads?${q({ url: HOME })}`, opts);
+  assert.equal(missing.status, 502);
+  assert.match(missing.json.message, /No fixture/);
+});
@@ -0,0 +1,60 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileUrlMatcher, matchKeys } = require("../lib/urls");
+
+const regex = (pattern) => compileUrlMatcher(pattern, "regex");
+
+test("regex guard accepts ordinary patterns", () => {
+  for (const p of [
+    "^https://example\\.com/(products|shop)/[^/]+$",
+    "^https://example\\.com/blog/\\d{4}/\\d{1,2}/.*",
+    "/(ab)?c+$",
+    "[a+]+x*y*"
+  ]) {
+    assert.doesNotThrow(() => regex(p), p);
+  }
+});
+
+test("regex guard refuses repeated groups holding quantifiers or alternations, however nested", () => {
+  for (const p of ["(a+)+$", "(a|ab)*c", "((ab)*c)+", "(x(y(z+)))*", "(?:a{1,3}){2,}", "(?<n>a*)+"]) {
+    assert.throws(() => regex(p), /Unsafe regex: a repeated group/, p);
+  }
+});
+
+test("regex guard refuses backreferences", () => {
+  assert.throws(() => regex("(a)\\1"), /Unsafe regex: backreferences/);
+  assert.throws(() => regex("(?<n>a)\\k<n>"), /Unsafe regex: backreferences/);
+});
+
+test("regex guard counts unbounded and bounded variable-length repeats", () => {
+  assert.doesNotThrow(() => regex("a*b+c{2,}"));
+  assert.throws(() => regex("a*b*c*d*"), /at most 3 variable-length repeats/);
+  assert.throws(() => regex("a*b{1,5}c{0,9}d{2,3}"), /at most 3 variable-length repeats/);
+  assert.doesNotThrow(() => regex("a{3}b{4}c{5}d{6}e{7}"));
+});
+
+test("regex guard caps chained bounded repeats", () => {
+  assert.doesNotThrow(() => regex(".{0,60}.{0,60}Z"));
+  assert.throws(() => regex(".{0,60}.{0,60}.{0,60}Z"), /bounded repeats/);
+  assert.throws(() => regex(".{0,60}.{0,60}.{0,60}.{0,60}.{0,60}.{0,60}.{0,60}Z"), /Unsafe regex/);
+});
+
+test("regex matching that outlives its time budget fails instead of blocking", () => {
+  const slow = regex(".*.*.*Z");
+  const key = `https://example.com/${"a".repeat(2000)}`;
+  const started = Date.now();
+  assert.throws(() => matchKeys([slow], [key]), (e) => e.status === 400 && /took longer than/.test(e.message));
+  assert.throws(() => slow.test(key), /took longer than/);
+  assert.ok(Date.now() - started < 5000);
+});
+
+test("matchKeys tests each key once per matcher, regex or not", () => {
+  const keys = ["https://example.com/a", "https://example.com/a/b", "https://example.com/c"];
+  const [byRegex, byPrefix, byExact] = matchKeys(
+    [regex("/a"), compileUrlMatcher("https://example.com/a", "prefix"), compileUrlMatcher("https://www.example.com/c/")],
+    keys
+  );
+  assert.deepEqual([...byRegex], keys.slice(0, 2));
+  assert.deepEqual([...byPrefix], keys.slice(0, 2));
+  assert.deepEqual([...byExact], [keys[2]]);
+});